@@ -12,6 +12,7 @@ const bodyParser = require("body-parser");
 const cookieParser = require("cookie-parser");
 const crypto = require("crypto");
 const XLSX = require("xlsx");
+const CmmParser = require("./public/js/cmm-parser");
 require("dotenv").config();
 
 const { Client, Databases, Storage, Query, ID } = require("node-appwrite");
@@ -77,60 +78,107 @@ const STATUS_CONFIG = {
     opacity: 1,
     order: 5,
     hidden: true
+  },
+  // Parked by hand (see HOLD / RELEASE); never allocated to orders
+  'hold': {
+    label: '保留',
+    color: '#ffc9c9',
+    opacity: 1,
+    order: 6
   }
 };
 
-// ======================
-// MEASUREMENT CONFIGURATION
-// ======================
-
-const validationRanges = {
-  'A': { min: 8.0, max: 8.4 },
-  'B': { min: 37.2, max: 37.8 },
-  'C': { min: 15.7, max: 16.1 },
-  'D': { min: 23.9, max: 24.3 },
-  'E': { min: 11.2, max: 11.4 },
-  'F': { min: 3.1, max: 3.3 },
-  'G1': { min: 7.8, max: 8.2 },
-  'G2': { min: 7.8, max: 8.2 },
-  'G3': { min: 7.8, max: 8.2 },
-  'G4': { min: 7.8, max: 8.2 },
-  'H': { min: 4.9, max: 5.1 },
-  'I': { min: 29.8, max: 30.2 },
-  'J': { min: 154.9, max: 155.9 },
-  'K': { min: 82.8, max: 83.4 },
-  'L': { min: 121.8, max: 122.8 },
-  'M': null,
-  'N': null
+// Statuses a part can be put on hold from
+const HOLDABLE_STATUSES = ['upcoming_import', 'imported', 'inspection', 'finished_inspection'];
+
+// Allowed status changes, from → to. Guards on the target status are in
+// transitionBlockers(). Only the hold / release routes move parts into and out
+// of 'hold'. 'shipped' is set only by the order ship route (shipBlockers()),
+// so a part cannot ship without an order.
+const STATUS_TRANSITIONS = {
+  'upcoming_import': ['imported', 'inspection', 'finished_inspection', 'hold'],
+  'imported': ['inspection', 'finished_inspection', 'hold'],
+  'inspection': ['finished_inspection', 'hold'],
+  'finished_inspection': ['inspection', 'hold'],
+  'shipped': [],
+  'hold': ['upcoming_import', 'imported', 'inspection', 'finished_inspection']
 };
 
-const measurementMapping = {
-  'A': { index: 1, type: 'PT-COMP', field: 'x', absolute: true },
-  'B': { index: 9, type: 'CIRCLE', field: 'diameter', absolute: false },
-  'C': { index: 1, type: 'DISTANCE', field: 'y', absolute: true },
-  'D': { index: 4, type: 'PT-COMP', field: 'x', absolute: true },
-  'E': { index: 8, type: 'CIRCLE', field: 'diameter', absolute: false },
-  'F': {
-    type: 'AVERAGE',
-    indices: [
-      { index: 2, type: 'CIRCLE', field: 'diameter' },
-      { index: 4, type: 'CIRCLE', field: 'diameter' },
-      { index: 5, type: 'CIRCLE', field: 'diameter' },
-      { index: 6, type: 'CIRCLE', field: 'diameter' }
-    ],
-    absolute: false
-  },
-  'G1': { index: 10, type: 'CIRCLE', field: 'diameter', absolute: false },
-  'G2': { index: 11, type: 'CIRCLE', field: 'diameter', absolute: false },
-  'G3': { index: 12, type: 'CIRCLE', field: 'diameter', absolute: false },
-  'G4': { index: 13, type: 'CIRCLE', field: 'diameter', absolute: false },
-  'H': { index: 2, type: 'DISTANCE', field: 'y', absolute: true },
-  'I': { index: 15, type: 'CIRCLE', field: 'diameter', absolute: false },
-  'J': { index: 7, type: 'CIRCLE', field: 'diameter', absolute: false },
-  'K': { index: 2, type: 'PT-COMP', field: 'x', absolute: true },
-  'L': { index: 14, type: 'CIRCLE', field: 'diameter', absolute: false },
-  'M': { type: 'MANUAL', field: 'PassFail' },
-  'N': { type: 'VISUAL', field: 'PassFail' }
+// ======================
+// PART SPECIFICATION DEFAULTS
+// ======================
+// Checkpoint definitions and tolerances live in COLLECTION_PART_SPECS as
+// versioned documents (see PART SPECIFICATIONS below). This is version 1 of
+// the horizontal nozzle: it seeds the collection on first use and is the spec
+// that legacy records without a spec_id were judged against.
+//
+// Checkpoint fields:
+//   key         - column suffix on inspections (value<key> / isValid<key>)
+//   type/index/field - CMM feature the value is read from (field names are
+//                 those of public/js/cmm-parser.js)
+//   sources     - list of {type, index, field} averaged into one value
+//   absolute    - compare |value| instead of the signed value
+//   nominal/lower/upper - drawing nominal and acceptance limits
+//   drawing/tolerance/instrument - header text printed on the summary report
+//   record      - 'value' (測定値) or 'judgment' (合否) on the summary report
+//   report      - false to hide the checkpoint from the summary columns
+
+const DEFAULT_PRODUCT_CODE = 'suihei_nozzle';
+
+const DEFAULT_PART_SPEC = {
+  product_code: DEFAULT_PRODUCT_CODE,
+  product_name: '水平ノズル',
+  version: 1,
+  feature_model: 2,
+  spec_number: 'KDMP-0434',
+  drawing_number: 'P2MM302000',
+  checkpoints: [
+    { key: 'A', type: 'PT-COMP', index: 1, field: 'x', absolute: true, nominal: 8.2, lower: 8.0, upper: 8.4,
+      drawing: '8.2', tolerance: '±0.2', instrument: '三次元測定器', record: 'value' },
+    { key: 'B', type: 'CIRCLE', index: 9, field: 'diameter', absolute: false, nominal: 37.5, lower: 37.2, upper: 37.8,
+      drawing: '37.5', tolerance: '±0.3', instrument: '三次元測定器', record: 'value' },
+    { key: 'C', type: 'DISTANCE', index: 1, field: 'x', absolute: true, nominal: 15.9, lower: 15.7, upper: 16.1,
+      drawing: '15.9', tolerance: '±0.2', instrument: '三次元測定器', record: 'value' },
+    { key: 'D', type: 'PT-COMP', index: 4, field: 'x', absolute: true, nominal: 24.1, lower: 23.9, upper: 24.3,
+      drawing: '24.1', tolerance: '±0.2', instrument: '三次元測定器', record: 'value' },
+    { key: 'E', type: 'CIRCLE', index: 8, field: 'diameter', absolute: false, nominal: 11.2, lower: 11.2, upper: 11.4,
+      drawing: 'Φ11.2', tolerance: '＋0.2/0', instrument: 'ピンゲージ', record: 'judgment' },
+    {
+      key: 'F',
+      type: 'AVERAGE',
+      sources: [
+        { index: 2, type: 'CIRCLE', field: 'diameter' },
+        { index: 4, type: 'CIRCLE', field: 'diameter' },
+        { index: 5, type: 'CIRCLE', field: 'diameter' },
+        { index: 6, type: 'CIRCLE', field: 'diameter' }
+      ],
+      absolute: false, nominal: 3.2, lower: 3.1, upper: 3.3,
+      drawing: 'Φ3.2全貫通', tolerance: '±0.1', instrument: 'ピンゲージ', record: 'judgment'
+    },
+    { key: 'G1', type: 'CIRCLE', index: 10, field: 'diameter', absolute: false, nominal: 8.0, lower: 7.8, upper: 8.2, report: false },
+    { key: 'G2', type: 'CIRCLE', index: 11, field: 'diameter', absolute: false, nominal: 8.0, lower: 7.8, upper: 8.2, report: false },
+    { key: 'G3', type: 'CIRCLE', index: 12, field: 'diameter', absolute: false, nominal: 8.0, lower: 7.8, upper: 8.2, report: false },
+    { key: 'G4', type: 'CIRCLE', index: 13, field: 'diameter', absolute: false, nominal: 8.0, lower: 7.8, upper: 8.2, report: false },
+    { key: 'H', type: 'DISTANCE', index: 2, field: 'x', absolute: true, nominal: 5.0, lower: 4.9, upper: 5.1,
+      drawing: '深さ5.0', tolerance: '±0.1', instrument: '三次元測定器', record: 'value' },
+    { key: 'I', type: 'CIRCLE', index: 15, field: 'diameter', absolute: false, nominal: 30.0, lower: 29.8, upper: 30.2,
+      drawing: 'P.C.D 30', tolerance: '±0.2', instrument: '三次元測定器', record: 'value' },
+    { key: 'J', type: 'CIRCLE', index: 7, field: 'diameter', absolute: false, nominal: 155.4, lower: 154.9, upper: 155.9,
+      drawing: 'Φ155.4', tolerance: '±0.5', instrument: '三次元測定器', record: 'value' },
+    { key: 'K', type: 'PT-COMP', index: 2, field: 'x', absolute: true, nominal: 83.1, lower: 82.8, upper: 83.4,
+      drawing: '83.1', tolerance: '±0.3', instrument: '三次元測定器', record: 'value' },
+    { key: 'L', type: 'CIRCLE', index: 14, field: 'diameter', absolute: false, nominal: 122.3, lower: 121.8, upper: 122.8,
+      drawing: 'Φ122.3', tolerance: '±0.5', instrument: '三次元測定器', record: 'value' },
+    { key: 'M', type: 'MANUAL', drawing: '嵌め合い', tolerance: '-', instrument: '治具', record: 'judgment' },
+    { key: 'N', type: 'VISUAL', drawing: '目視点検', tolerance: '-', instrument: '目視', record: 'judgment' }
+  ],
+  // Averaging groups are judged as one value on the summary (G = mean of G1–G4)
+  groups: [
+    { key: 'G', members: ['G1', 'G2', 'G3', 'G4'], nominal: 8.0, lower: 7.8, upper: 8.2,
+      drawing: 'Φ8.0', tolerance: '±0.2', instrument: '三次元測定器', record: 'value' }
+  ],
+  // Column order on the summary report (checkpoint or group keys)
+  columns: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N']
 };
 
 // ======================
@@ -155,10 +203,92 @@ const COLLECTION_SESSIONS = process.env.APPWRITE_COLLECTION_SESSIONS_ID;
 const COLLECTION_ORDERS = process.env.APPWRITE_COLLECTION_ORDERS_ID;
 const COLLECTION_IMPORTS = process.env.APPWRITE_COLLECTION_IMPORTS_ID;
 
+// One record per shipment of an order (date, parts, who shipped)
+const COLLECTION_SHIPMENTS = process.env.APPWRITE_COLLECTION_SHIPMENTS_ID;
+
 // Tuika exports
 const COLLECTION_TUIKA_EXPORTS = process.env.APPWRITE_COLLECTION_TUIKA_EXPORTS_ID || '';
 const BUCKET_TUIKA_ID = process.env.APPWRITE_BUCKET_TUIKA_ID || '';
 
+// Every inspection status change (who, when, from/to, which route)
+const COLLECTION_STATUS_HISTORY = process.env.APPWRITE_COLLECTION_STATUS_HISTORY_ID || '';
+
+// Bulk status advances, kept so they can be rolled back
+const COLLECTION_STATUS_BATCHES = process.env.APPWRITE_COLLECTION_STATUS_BATCHES_ID || '';
+
+// Storage bucket for the original CMM TXT files behind each inspection
+const BUCKET_RAW_TXT_ID = process.env.APPWRITE_BUCKET_RAW_TXT_ID || '';
+
+// Storage bucket for shipment delivery notes and packing lists
+const BUCKET_SHIPPING_DOCS_ID = process.env.APPWRITE_BUCKET_SHIPPING_DOCS_ID || '';
+
+// Part specifications (versioned checkpoint definitions)
+const COLLECTION_PART_SPECS = process.env.APPWRITE_COLLECTION_PART_SPECS_ID || '';
+
+// Drift / trend alerts raised on upload
+const COLLECTION_ALERTS = process.env.APPWRITE_COLLECTION_ALERTS_ID || '';
+
+// Nonconformance records for failed inspections
+const COLLECTION_NCRS = process.env.APPWRITE_COLLECTION_NCRS_ID || '';
+
+// Numbered measurement revisions of each inspection
+const COLLECTION_REVISIONS = process.env.APPWRITE_COLLECTION_REVISIONS_ID || '';
+
+// Gauge R&R studies and their tagged repeat measurements
+const COLLECTION_GRR_STUDIES = process.env.APPWRITE_COLLECTION_GRR_STUDIES_ID || '';
+const COLLECTION_GRR_MEASUREMENTS = process.env.APPWRITE_COLLECTION_GRR_MEASUREMENTS_ID || '';
+
+// Without these the app cannot record inspections, orders or shipments
+const REQUIRED_SETTINGS = {
+  APPWRITE_DATABASE_ID: DATABASE_ID,
+  APPWRITE_COLLECTION_INSPECTIONS_ID: COLLECTION_INSPECTIONS,
+  APPWRITE_COLLECTION_ORDERS_ID: COLLECTION_ORDERS,
+  APPWRITE_COLLECTION_IMPORTS_ID: COLLECTION_IMPORTS,
+  APPWRITE_COLLECTION_SHIPMENTS_ID: COLLECTION_SHIPMENTS
+};
+const missingSettings = Object.keys(REQUIRED_SETTINGS).filter(name => !REQUIRED_SETTINGS[name]);
+if (missingSettings.length > 0) {
+  console.error(`Missing required settings: ${missingSettings.join(', ')}`);
+  process.exit(1);
+}
+
+// ======================
+// DATABASE HELPERS
+// ======================
+
+const PAGE_SIZE = 100;
+
+// Calls fn(documents) for each page of the documents matching queries,
+// following the cursor until the last page. queries may set an order; $id
+// is always the final tie-break so the cursor is stable.
+async function forEachPage(collectionId, queries, fn) {
+  let lastId = null;
+  while (true) {
+    const pageQueries = [...queries, Query.orderAsc('$id'), Query.limit(PAGE_SIZE)];
+    if (lastId) pageQueries.push(Query.cursorAfter(lastId));
+    const page = await databases.listDocuments(DATABASE_ID, collectionId, pageQueries);
+    await fn(page.documents);
+    if (page.documents.length < PAGE_SIZE) break;
+    lastId = page.documents[page.documents.length - 1].$id;
+  }
+}
+
+// Every document matching queries — paginated, never truncated
+async function listAllDocuments(collectionId, queries = []) {
+  const documents = [];
+  await forEachPage(collectionId, queries, page => { documents.push(...page); });
+  return documents;
+}
+
+// Runs fn over items, BATCH_SIZE at a time; afterBatch(done) runs after each
+async function inBatches(items, fn, afterBatch) {
+  const BATCH_SIZE = 5;
+  for (let b = 0; b < items.length; b += BATCH_SIZE) {
+    await Promise.all(items.slice(b, b + BATCH_SIZE).map(fn));
+    if (afterBatch) afterBatch(Math.min(b + BATCH_SIZE, items.length));
+  }
+}
+
 // ======================
 // MIDDLEWARE
 // ======================
@@ -376,7 +506,8 @@ function categorizeInventory(inspections) {
     finished_inspection: [],
     inspection: [],
     imported: [],
-    upcoming_import: []
+    upcoming_import: [],
+    hold: []
   };
 
   inspections.forEach(item => {
@@ -402,11 +533,12 @@ function categorizeInventory(inspections) {
 function getTotalAvailableInventory(inventory) {
   let total = 0;
   Object.keys(inventory).forEach(status => {
-    total += inventory[status].length;
+    if (status !== 'hold') total += inventory[status].length;
   });
   return total;
 }
 
+// Held parts are left out on purpose
 function getInventoryByPriority(inventory) {
   const priority = [];
   priority.push(...inventory.finished_inspection.map(item => ({ ...item, priority: 1 })));
@@ -416,67 +548,142 @@ function getInventoryByPriority(inventory) {
   return priority;
 }
 
-function allocateProductsToOrder(order, allOrders, currentInventory) {
-  const quantity = parseInt(order.quantity);
-  const inventoryByPriority = getInventoryByPriority(currentInventory);
+const ORDER_ALLOCATION_STATUSES = {
+  completed: { label: '完了', color: '#198754' },
+  processing: { label: '処理中', color: '#0d6efd' },
+  pending: { label: '保留中', color: '#e6a817' },
+  cancelled: { label: 'キャンセル', color: '#dc3545' }
+};
+
+function isOrderActive(order) {
+  return order.status !== 'cancelled' && order.status !== 'shipped';
+}
+
+function orderReservedIds(order) {
+  return Array.isArray(order.reserved_ids) ? order.reserved_ids : [];
+}
 
-  const allocatedByEarlierOrders = new Set();
-  const earlierOrders = allOrders
-    .filter(o => o.$id !== order.$id && new Date(o.due_date) < new Date(order.due_date))
-    .sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
+// Parts still to deliver: the order quantity less what has shipped
+function orderRemaining(order) {
+  return Math.max(0, (parseInt(order.quantity) || 0) - (parseInt(order.shipped_quantity) || 0));
+}
 
-  for (const earlierOrder of earlierOrders) {
-    const earlierQty = parseInt(earlierOrder.quantity);
-    let count = 0;
-    for (const product of inventoryByPriority) {
-      if (!allocatedByEarlierOrders.has(product.$id) && count < earlierQty) {
-        allocatedByEarlierOrders.add(product.$id);
-        count++;
-      }
-    }
-  }
+// Earliest due date first; orders due the same day keep their creation order
+function sortOrdersByDue(orders) {
+  return [...orders].sort((a, b) =>
+    new Date(a.due_date) - new Date(b.due_date) || new Date(a.$createdAt || 0) - new Date(b.$createdAt || 0)
+  );
+}
 
-  const allocatedItems = [];
-  for (const product of inventoryByPriority) {
-    if (!allocatedByEarlierOrders.has(product.$id) && allocatedItems.length < quantity) {
-      allocatedItems.push(product);
-    }
-  }
+function allocationItem(doc, reserved) {
+  return {
+    $id: doc.$id,
+    filename: doc.filename,
+    fileNum: fileNumberOf(doc.filename),
+    lot: doc.lot,
+    status: doc.status || 'finished_inspection',
+    reserved
+  };
+}
+
+// heldReserved: reserved parts that are held or NCR-held, shown with the
+// order but neither counted nor shippable
+function summarizeAllocation(order, items, heldReserved = []) {
+  const needed = orderRemaining(order);
+  const ready = items.filter(item => item.status === 'finished_inspection');
+  const inProgressCount = items.filter(item => item.status === 'inspection' || item.status === 'imported').length;
+
+  let status = 'pending';
+  if (!isOrderActive(order)) status = 'cancelled';
+  else if (ready.length >= needed) status = 'completed';
+  else if (inProgressCount > 0 || ready.length > 0) status = 'processing';
+
+  let stock;
+  if (!isOrderActive(order)) stock = { label: '—', color: '#6c757d' };
+  else if (items.length === 0) stock = { label: '在庫なし', color: '#dc3545' };
+  else if (ready.length >= needed) stock = { label: `出荷可能 (${needed})`, color: '#198754' };
+  else if (ready.length > 0) stock = { label: `一部完了 (${ready.length}/${needed})`, color: '#fd7e14' };
+  else if (inProgressCount > 0) stock = { label: `検査中 (0/${needed})`, color: '#0d6efd' };
+  else stock = { label: `入荷待ち (0/${needed})`, color: '#e6a817' };
 
-  const readyCount = allocatedItems.filter(item => item.status === 'finished_inspection').length;
-  const inProgressCount = allocatedItems.filter(item =>
-    item.status === 'inspection' || item.status === 'imported'
-  ).length;
+  return {
+    orderId: order.$id,
+    quantity: parseInt(order.quantity) || 0,
+    shipped: parseInt(order.shipped_quantity) || 0,
+    remaining: needed,
+    due_date: order.due_date,
+    status,
+    statusLabel: ORDER_ALLOCATION_STATUSES[status].label,
+    statusColor: ORDER_ALLOCATION_STATUSES[status].color,
+    stock,
+    items,
+    heldReserved,
+    shippableIds: ready.map(item => item.$id),
+    breakdown: { ready: ready.length, inProgress: inProgressCount, shortfall: isOrderActive(order) ? Math.max(0, needed - items.length) : 0 }
+  };
+}
 
-  let allocationStatus = 'ready';
-  let statusLabel = '出荷可能';
-  let statusColor = '#198754';
+// The one allocation engine, behind both the stock page and /api/allocations.
+// Reserved parts stay with their order whatever their status, but count only
+// while they are not held or NCR-held; the rest of the stock (held and
+// NCR-held parts excluded) goes to the remaining quantity of active orders by
+// due date, finished parts first and lowest file number first within a
+// status. Cancelled orders get nothing.
+function allocateOrders(orders, inspections) {
+  const unshipped = inspections.filter(doc => doc.status !== 'shipped');
+  const available = unshipped.filter(doc => doc.status !== 'hold' && !isHeldByNcr(doc));
+  const byId = new Map(available.map(doc => [doc.$id, doc]));
+  const heldById = new Map(unshipped.filter(doc => !byId.has(doc.$id)).map(doc => [doc.$id, doc]));
+  const candidates = getInventoryByPriority(categorizeInventory(available));
+  const activeOrders = sortOrdersByDue(orders.filter(isOrderActive));
+
+  const taken = new Set();
+  activeOrders.forEach(order => orderReservedIds(order).forEach(id => taken.add(id)));
 
-  if (inProgressCount > 0) {
-    allocationStatus = 'processing';
-    statusLabel = '検査中含む';
-    statusColor = '#6c757d';
+  const allocations = {};
+  for (const order of activeOrders) {
+    const needed = orderRemaining(order);
+    const items = orderReservedIds(order)
+      .filter(id => byId.has(id))
+      .map(id => allocationItem(byId.get(id), true));
+    for (const doc of candidates) {
+      if (items.length >= needed) break;
+      if (taken.has(doc.$id)) continue;
+      taken.add(doc.$id);
+      items.push(allocationItem(doc, false));
+    }
+    const heldReserved = orderReservedIds(order)
+      .filter(id => heldById.has(id))
+      .map(id => allocationItem(heldById.get(id), true));
+    allocations[order.$id] = summarizeAllocation(order, items, heldReserved);
   }
+  orders.filter(order => !isOrderActive(order)).forEach(order => {
+    allocations[order.$id] = summarizeAllocation(order, []);
+  });
 
   return {
-    allocatedItems,
-    status: allocationStatus,
-    statusLabel,
-    statusColor,
-    breakdown: { ready: readyCount, inProgress: inProgressCount }
+    allocations,
+    unallocated: candidates.filter(doc => !taken.has(doc.$id)).length
   };
 }
 
-function allocateToAllOrders(orders, currentInventory) {
-  const allocations = {};
-  const sortedOrders = [...orders].sort((a, b) =>
-    new Date(a.due_date) - new Date(b.due_date)
-  );
+// Every non-archived, non-shipped inspection — paginated, never truncated
+async function loadActiveInspections() {
+  return listAllDocuments(COLLECTION_INSPECTIONS, [
+    Query.equal('is_archived', false),
+    Query.notEqual('status', 'shipped')
+  ]);
+}
 
-  for (const order of sortedOrders) {
-    allocations[order.$id] = allocateProductsToOrder(order, orders, currentInventory);
-  }
-  return allocations;
+// Every order that is not shipped, earliest due date first — paginated,
+// never truncated
+async function loadOpenOrders() {
+  return sortOrdersByDue(await listAllDocuments(COLLECTION_ORDERS, [Query.notEqual('status', 'shipped')]));
+}
+
+// Every import that has not arrived, earliest scheduled date first
+async function loadScheduledImports() {
+  return listAllDocuments(COLLECTION_IMPORTS, [Query.equal('status', 'scheduled'), Query.orderAsc('scheduled_date')]);
 }
 
 function getInventoryStatus(inventory) {
@@ -484,7 +691,8 @@ function getInventoryStatus(inventory) {
     finished_inspection: inventory.finished_inspection.length,
     inspection: inventory.inspection.length,
     imported: inventory.imported.length,
-    upcoming_import: inventory.upcoming_import.length
+    upcoming_import: inventory.upcoming_import.length,
+    hold: inventory.hold.length
   };
 
   const total = getTotalAvailableInventory(inventory);
@@ -499,316 +707,1031 @@ function getInventoryStatus(inventory) {
 // TXT FILE PARSING
 // ======================
 
+// Line parsing lives in public/js/cmm-parser.js, which the tuika-process page
+// loads as well. measurements indexes the features by CMM index and type.
 function parseTxtFile(fileContent) {
-  const lines = fileContent.split("\n").map(line => line.trim()).filter(l => l.length > 0);
-  const data = { measurements: {} };
+  const { lot, header, features, diagnostics } = CmmParser.parseCmmText(fileContent);
+  return { lot, header, features, measurements: CmmParser.indexFeatures(features), diagnostics };
+}
 
-  const safeFloat = s => { const v = parseFloat(s); return isNaN(v) ? null : v; };
+// The CMM header timestamp has no zone; it is the measuring PC's local time
+const CMM_UTC_OFFSET = process.env.CMM_UTC_OFFSET || '+09:00';
 
-  lines.forEach((line) => {
-    if (line.startsWith("Lot No.")) {
-      const lotMatch = line.match(/Lot No\.\s*:\s*(.+)/);
-      if (lotMatch) data.lot = lotMatch[1].trim();
-      return;
-    }
+// measured_at back in the CMM's local time, for exports
+function formatCmmLocalTime(iso) {
+  if (!iso) return '';
+  const sign = CMM_UTC_OFFSET.startsWith('-') ? -1 : 1;
+  const [hours, minutes] = CMM_UTC_OFFSET.replace(/^[+-]/, '').split(':').map(Number);
+  const local = new Date(new Date(iso).getTime() + sign * (hours * 60 + (minutes || 0)) * 60000);
+  return local.toISOString().replace('T', ' ').substring(0, 19);
+}
 
-    const parts = line.split(";").map(p => p.trim());
-    if (parts.length < 2) return;
-
-    const index = parseInt(parts[0]);
-    const type = parts[1];
-    if (isNaN(index)) return;
-
-    if (!data.measurements[index]) data.measurements[index] = {};
-
-    if (type === "CIRCLE" && parts.length >= 12) {
-      data.measurements[index]["CIRCLE"] = {
-        type: "CIRCLE",
-        x: safeFloat(parts[3]),
-        y: safeFloat(parts[4]),
-        z: safeFloat(parts[5]),
-        diameter: safeFloat(parts[10]),
-        roundness: safeFloat(parts[11])
-      };
-    } else if (type === "PT-COMP" && parts.length >= 6) {
-      data.measurements[index]["PT-COMP"] = {
-        type: "PT-COMP",
-        x: Math.abs(safeFloat(parts[3])),
-        y: safeFloat(parts[4]),
-        z: safeFloat(parts[5])
-      };
-    } else if (type === "DISTANCE") {
-      data.measurements[index]["DISTANCE"] = {
-        type: "DISTANCE",
-        y: safeFloat(parts[3]) !== null ? Math.abs(safeFloat(parts[3])) : null
-      };
-    }
+// Header metadata as stored on the inspection document
+function buildHeaderFields(parsedData) {
+  const header = parsedData.header || {};
+  let measuredAt = null;
+  if (header.measuredAt) {
+    const date = new Date(`${header.measuredAt}${CMM_UTC_OFFSET}`);
+    measuredAt = isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  return {
+    cmm_program: header.program || null,
+    cmm_machine: header.machine || null,
+    cmm_operator: header.operator || null,
+    measured_at: measuredAt
+  };
+}
+
+// One diagnostic per CMM feature a checkpoint of the spec needs but the file
+// does not contain.
+function findMissingFeatures(parsedData, spec) {
+  const diagnostics = [];
+  const reported = new Set();
+
+  getMeasuredCheckpoints(spec).forEach(checkpoint => {
+    checkpointSources(checkpoint).forEach(source => {
+      const featureKey = `${source.index}:${source.type}`;
+      if (reported.has(featureKey) || extractFeatureValue(parsedData, source) !== null) return;
+      reported.add(featureKey);
+      diagnostics.push({
+        line: null,
+        raw: '',
+        code: 'missing_feature',
+        reason: `${source.type} #${source.index} required by ${checkpoint.key} is missing`,
+        severity: 'error'
+      });
+    });
   });
 
-  return data;
+  return diagnostics;
 }
 
-function extractMeasurementValue(parsedData, measureKey) {
-  const config = measurementMapping[measureKey];
-  if (!config) return null;
+function extractFeatureValue(parsedData, source) {
+  const byIndex = parsedData.measurements[source.index];
+  const measurement = byIndex && byIndex[source.type];
+  if (!measurement) return null;
 
-  if (config.type === 'AVERAGE') {
-    const values = config.indices
-      .map(indexConfig => {
-        const byIndex = parsedData.measurements[indexConfig.index];
-        const measurement = byIndex && byIndex[indexConfig.type];
-        if (!measurement) return null;
-        return measurement[indexConfig.field];
-      })
+  const value = measurement[source.field];
+  if (value === null || value === undefined) return null;
+  return value;
+}
+
+// Every CMM feature a checkpoint reads. Derived checkpoints use the feature
+// centers, so their sources are checked through the x coordinate.
+function checkpointSources(checkpoint) {
+  if (checkpoint.type === 'AVERAGE') return checkpoint.sources;
+  if (DERIVED_CHECKPOINT_TYPES.includes(checkpoint.type)) {
+    return [...(checkpoint.sources || []), checkpoint.source, checkpoint.datum]
+      .filter(Boolean)
+      .map(source => ({ ...source, field: source.field || 'x' }));
+  }
+  return [checkpoint];
+}
+
+function extractMeasurementValue(parsedData, checkpoint) {
+  if (!checkpoint) return null;
+
+  if (DERIVED_CHECKPOINT_TYPES.includes(checkpoint.type)) {
+    return computeDerivedValue(parsedData, checkpoint);
+  }
+
+  if (checkpoint.type === 'AVERAGE') {
+    const values = checkpoint.sources
+      .map(source => extractFeatureValue(parsedData, source))
       .filter(v => v !== null);
 
     if (values.length === 0) return null;
     const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
-    return config.absolute ? Math.abs(avg) : avg;
+    return checkpoint.absolute ? Math.abs(avg) : avg;
   }
 
-  const byIndex = parsedData.measurements[config.index];
-  const measurement = byIndex && byIndex[config.type];
-  if (!measurement) return null;
-
-  const value = measurement[config.field];
-  if (value === null || value === undefined) return null;
-  return config.absolute ? Math.abs(value) : value;
+  const value = extractFeatureValue(parsedData, checkpoint);
+  if (value === null) return null;
+  return checkpoint.absolute ? Math.abs(value) : value;
 }
 
-function isValidMeasurement(value, measureKey) {
-  if (value === null || value === undefined) return null;
+// ======================
+// DERIVED GEOMETRY CHECKPOINTS
+// ======================
+// Checkpoints computed from CMM feature centers instead of read from a column.
+// Coordinates are taken in the checkpoint's plane ('XY' default, 'YZ', 'ZX'),
+// i.e. in the part coordinate system set up by the CMM program.
+//
+//   PCD             - diameter of the circle fitted through sources (>= 3)
+//   TRUE_POSITION   - diametral position error of source against its nominal
+//                     location: pcd / angle (degrees) around the pattern
+//                     center, which is datum's center or the fit of sources
+//   ANGULAR_SPACING - largest deviation (degrees) of the angle between
+//                     consecutive sources from 360 / n (or spacing)
+//
+// Roundness needs no derived type: it is the CIRCLE 'deviation' field.
+
+const DERIVED_CHECKPOINT_TYPES = ['PCD', 'TRUE_POSITION', 'ANGULAR_SPACING'];
+
+const PLANE_AXES = { XY: ['x', 'y'], YZ: ['y', 'z'], ZX: ['z', 'x'] };
+
+function featureCenter(parsedData, source, plane) {
+  const byIndex = parsedData.measurements[source.index];
+  const feature = byIndex && byIndex[source.type];
+  if (!feature) return null;
+  const [u, v] = PLANE_AXES[plane || 'XY'];
+  if (typeof feature[u] !== 'number' || typeof feature[v] !== 'number') return null;
+  return { u: feature[u], v: feature[v] };
+}
 
-  const range = validationRanges[measureKey];
-  if (!range) return null;
+// Algebraic least-squares circle fit (Kåsa): minimises
+// sum (u² + v² + a·u + b·v + c)². Exact for three points.
+function fitCircle(points) {
+  if (points.length < 3) return null;
+  let suu = 0, svv = 0, suv = 0, su = 0, sv = 0;
+  let suz = 0, svz = 0, sz = 0;
+  points.forEach(({ u, v }) => {
+    const z = u * u + v * v;
+    suu += u * u; svv += v * v; suv += u * v; su += u; sv += v;
+    suz += u * z; svz += v * z; sz += z;
+  });
+  const n = points.length;
+  // [suu suv su; suv svv sv; su sv n] · [a b c] = -[suz svz sz]
+  const det3 = m => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+    - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+    + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  const A = [[suu, suv, su], [suv, svv, sv], [su, sv, n]];
+  const rhs = [-suz, -svz, -sz];
+  const det = det3(A);
+  if (Math.abs(det) < 1e-12) return null;
+  const solve = col => det3(A.map((row, i) => row.map((x, j) => (j === col ? rhs[i] : x)))) / det;
+  const a = solve(0), b = solve(1), c = solve(2);
+  const cu = -a / 2, cv = -b / 2;
+  const r2 = cu * cu + cv * cv - c;
+  if (r2 <= 0) return null;
+  return { u: cu, v: cv, radius: Math.sqrt(r2) };
+}
 
-  return value >= range.min && value <= range.max;
+function patternCenter(parsedData, checkpoint) {
+  if (checkpoint.datum) return featureCenter(parsedData, checkpoint.datum, checkpoint.plane);
+  const points = (checkpoint.sources || []).map(s => featureCenter(parsedData, s, checkpoint.plane));
+  if (points.some(p => p === null)) return null;
+  return fitCircle(points);
 }
 
-function processGValues(measurements) {
-  const gKeys = ['G1', 'G2', 'G3', 'G4'];
+function computeDerivedValue(parsedData, checkpoint) {
+  if (checkpoint.type === 'PCD') {
+    const points = checkpoint.sources.map(s => featureCenter(parsedData, s, checkpoint.plane));
+    if (points.some(p => p === null)) return null;
+    const fit = fitCircle(points);
+    return fit ? fit.radius * 2 : null;
+  }
 
-  const validGValues = gKeys
-    .map(key => {
-      const m = measurements[key];
-      if (!m || m.value === null || m.value === undefined || m.value === '-') return null;
-      const numeric = parseFloat(m.value);
-      if (isNaN(numeric)) return null;
-      return { value: numeric, isValid: m.isValid };
-    })
-    .filter(m => m !== null);
+  if (checkpoint.type === 'TRUE_POSITION') {
+    const center = patternCenter(parsedData, checkpoint);
+    const actual = featureCenter(parsedData, checkpoint.source, checkpoint.plane);
+    if (!center || !actual) return null;
+    const angle = checkpoint.angle * Math.PI / 180;
+    const nominalU = center.u + (checkpoint.pcd / 2) * Math.cos(angle);
+    const nominalV = center.v + (checkpoint.pcd / 2) * Math.sin(angle);
+    return 2 * Math.hypot(actual.u - nominalU, actual.v - nominalV);
+  }
 
-  if (validGValues.length === 0) {
-    return { value: null, isValid: null };
+  if (checkpoint.type === 'ANGULAR_SPACING') {
+    const center = patternCenter(parsedData, checkpoint);
+    const points = checkpoint.sources.map(s => featureCenter(parsedData, s, checkpoint.plane));
+    if (!center || points.some(p => p === null)) return null;
+    const angles = points.map(p => Math.atan2(p.v - center.v, p.u - center.u) * 180 / Math.PI);
+    const expected = checkpoint.spacing || 360 / angles.length;
+    let worst = 0;
+    angles.forEach((angle, i) => {
+      const next = angles[(i + 1) % angles.length];
+      const spacing = ((next - angle) % 360 + 360) % 360;
+      worst = Math.max(worst, Math.abs(spacing - expected));
+    });
+    return worst;
   }
 
-  const gSum = validGValues.reduce((sum, m) => sum + m.value, 0);
-  const gAverage = gSum / validGValues.length;
-  const gRange = validationRanges['G1'];
-  const gIsValid = gAverage >= gRange.min && gAverage <= gRange.max;
+  return null;
+}
+
+function isValidMeasurement(value, checkpoint) {
+  if (value === null || value === undefined) return null;
+  if (!checkpoint || !hasLimits(checkpoint)) return null;
 
-  return { value: gAverage, isValid: gIsValid };
+  return value >= checkpoint.lower && value <= checkpoint.upper;
 }
 
 // ======================
-// MAIN INDEX ROUTE
+// GUARD BANDS & VERDICTS
 // ======================
+// A checkpoint or group may carry guard: { absolute: <mm> } or
+// { percent: <% of the tolerance width> }. A value inside the limits but
+// within the guard band of either limit is 'conditional': it passes only once
+// someone signs it off (conditional_signoff_by), and until then the record
+// cannot enter finished_inspection.
+
+const VERDICT_RANK = { pass: 0, conditional: 1, fail: 2 };
+
+function guardBandWidth(item) {
+  const guard = item && item.guard;
+  if (!guard || !hasLimits(item)) return 0;
+  if (typeof guard.absolute === 'number') return guard.absolute;
+  if (typeof guard.percent === 'number') return (item.upper - item.lower) * guard.percent / 100;
+  return 0;
+}
 
-app.get("/", requireAuth, async (req, res) => {
-  try {
-    const showArchived = req.query.archived === 'true';
+// 'pass' | 'conditional' | 'fail', or null when not measured / not judged
+function measurementVerdict(value, item) {
+  const isValid = isValidMeasurement(value, item);
+  if (isValid === null) return null;
+  if (!isValid) return 'fail';
+  const band = guardBandWidth(item);
+  return value < item.lower + band || value > item.upper - band ? 'conditional' : 'pass';
+}
 
-    // Paginate through all matching inspections — never silently truncate at 1000.
-    const allDocs = [];
-    let lastId = null;
-    while (true) {
-      const pageQueries = [
-        Query.equal('is_archived', showArchived),
-        Query.notEqual('status', 'shipped'),
-        Query.orderAsc('$id'),
-        Query.limit(100)
-      ];
-      if (lastId) pageQueries.push(Query.cursorAfter(lastId));
-
-      const page = await databases.listDocuments(
-        DATABASE_ID,
-        COLLECTION_INSPECTIONS,
-        pageQueries
-      );
+// What the report shows: measured checkpoints not hidden with report: false,
+// plus averaging groups
+function getReportedItems(spec) {
+  return [...getMeasuredCheckpoints(spec).filter(cp => cp.report !== false), ...spec.groups];
+}
 
-      allDocs.push(...page.documents);
-      if (page.documents.length < 100) break;
-      lastId = page.documents[page.documents.length - 1].$id;
-    }
+// Record-level verdict over the reported items. 'pending' when nothing is judged.
+function overallVerdict(measurementsByKey, spec) {
+  const items = getReportedItems(spec);
+  const failed = [];
+  const conditional = [];
+  let verdict = null;
+
+  items.forEach(item => {
+    const m = measurementsByKey[item.key];
+    const itemVerdict = m ? measurementVerdict(m.value, item) : null;
+    if (itemVerdict === null) return;
+    if (itemVerdict === 'fail') failed.push(item.key);
+    if (itemVerdict === 'conditional') conditional.push(item.key);
+    if (verdict === null || VERDICT_RANK[itemVerdict] > VERDICT_RANK[verdict]) verdict = itemVerdict;
+  });
 
-    const files = allDocs
-      .map(doc => {
-        const status = doc.status || 'finished_inspection';
-        const statusCfg = STATUS_CONFIG[status] || STATUS_CONFIG['finished_inspection'];
-        return {
-          ...doc,
-          fileNumber: doc.filename ? doc.filename.replace(/\.(txt|TXT)$/, '') : 'Unknown',
-          statusColor: statusCfg.color,
-          statusOpacity: statusCfg.opacity,
-          statusLabel: statusCfg.label
-        };
-      })
-      .sort((a, b) => (parseInt(a.fileNumber) || 0) - (parseInt(b.fileNumber) || 0));
+  return { verdict: verdict || 'pending', failed, conditional };
+}
 
-    res.render("index", {
-      files: files,
-      username: req.session.username,
-      displayName: getDisplayName(req.session.username),
-      canEditWeights: req.session.canEditWeights,
-      showArchived: showArchived,
-      statusConfig: STATUS_CONFIG
-    });
-  } catch (error) {
-    console.error("Error fetching files:", error);
-    res.status(500).send("Error loading files");
-  }
-});
+function needsConditionalSignoff(doc) {
+  return doc.inspectionStatus === 'conditional' && !doc.conditional_signoff_by;
+}
 
 // ======================
-// STOCK MANAGEMENT VIEW
+// RECORDED JUDGMENTS
 // ======================
+// Items reported as 合否 (record: 'judgment') — the fit (M) and visual (N)
+// checks and the pin-gauge approvals of E/F — are recorded per inspection in
+// `judgments` (JSON of { <key>: { result, by, at, note } }). The summary
+// report prints only what is recorded there.
 
-app.get("/stock-management", requireAuth, async (req, res) => {
+const JUDGMENT_RESULTS = { pass: '合', fail: '否' };
+
+function getJudgmentItems(spec) {
+  return [...spec.checkpoints, ...spec.groups].filter(item => item.record === 'judgment' && item.report !== false);
+}
+
+function parseJudgments(doc) {
   try {
-    const ordersResult = await databases.listDocuments(
-      DATABASE_ID,
-      COLLECTION_ORDERS,
-      [Query.notEqual('status', 'shipped'), Query.orderAsc('due_date'), Query.limit(100)]
-    );
+    return JSON.parse(doc.judgments || '{}');
+  } catch (e) {
+    return {};
+  }
+}
 
-    // Only fetch scheduled imports (arrived ones move to inventory, no longer shown in imports tab)
-    const importsResult = await databases.listDocuments(
-      DATABASE_ID,
-      COLLECTION_IMPORTS,
-      [Query.equal('status', 'scheduled'), Query.orderAsc('scheduled_date'), Query.limit(100)]
-    );
+// ======================
+// STATUS TRANSITIONS
+// ======================
+// Every status change goes through STATUS_TRANSITIONS and the guards below,
+// and is recorded in COLLECTION_STATUS_HISTORY (when configured) with the
+// user, the time and the route that made it.
+
+// Reasons a record cannot be in finished_inspection; [] when it can
+async function finishBlockers(doc) {
+  const reasons = [];
+  if (doc.parse_status === 'quarantined') reasons.push('Quarantined records cannot finish inspection');
+  if (needsConditionalSignoff(doc)) reasons.push('Conditional measurements need a sign-off first');
+  if (isHeldByNcr(doc)) reasons.push('Held by an open nonconformance (NCR)');
+  if (needsWeightConfirmation(doc)) reasons.push('The weight is flagged as an outlier and needs a confirmation first');
+  if (doc.weight === null || doc.weight === undefined) reasons.push('No weight recorded');
+
+  const spec = await getPartSpec(doc.spec_id);
+  const missing = getMeasuredCheckpoints(spec).filter(cp => readMeasurement(doc, cp.key) === null);
+  if (missing.length > 0) reasons.push(`Missing measurements: ${missing.map(cp => cp.key).join(', ')}`);
+
+  const judgments = parseJudgments(doc);
+  const judgmentItems = getJudgmentItems(spec);
+  const unrecorded = judgmentItems.filter(item => !judgments[item.key]);
+  const failed = judgmentItems.filter(item => judgments[item.key] && judgments[item.key].result === 'fail');
+  if (unrecorded.length > 0) reasons.push(`Judgments not recorded: ${unrecorded.map(item => item.key).join(', ')}`);
+  if (failed.length > 0) reasons.push(`Failed judgments: ${failed.map(item => item.key).join(', ')}`);
+  return reasons;
+}
 
-    // Paginate through ALL non-shipped inspections — never silently truncate.
-    // Appwrite's max per page is 100; we cursor-walk until we have everything.
-    const allInspectionDocs = [];
-    let lastId = null;
-    while (true) {
-      const pageQueries = [
-        Query.equal('is_archived', false),
-        Query.notEqual('status', 'shipped'),
-        Query.orderAsc('$id'),
-        Query.limit(100)
-      ];
-      if (lastId) pageQueries.push(Query.cursorAfter(lastId));
-
-      const page = await databases.listDocuments(
-        DATABASE_ID,
-        COLLECTION_INSPECTIONS,
-        pageQueries
-      );
+// Reasons doc cannot move to toStatus; [] when it can (or is already there)
+async function transitionBlockers(doc, toStatus) {
+  const fromStatus = doc.status || 'finished_inspection';
+  if (fromStatus === toStatus) return [];
+  if (!(STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+    return [`${fromStatus} → ${toStatus} is not an allowed status change`];
+  }
+  if (toStatus === 'inspection' && !hasMeasurementData(doc)) return ['No measurement data'];
+  if (toStatus === 'finished_inspection') return finishBlockers(doc);
+  return [];
+}
 
-      allInspectionDocs.push(...page.documents);
-      if (page.documents.length < 100) break;          // last page
-      lastId = page.documents[page.documents.length - 1].$id;
-    }
-    const inspectionsResult = { documents: allInspectionDocs };
+// Reasons doc cannot ship on an order; [] when it can. Only finished,
+// unheld parts ship.
+function shipBlockers(doc) {
+  const status = doc.status || 'finished_inspection';
+  if (status === 'shipped') return ['Already shipped'];
+  if (status !== 'finished_inspection') return [`${status} parts cannot ship`];
+  if (isHeldByNcr(doc)) return ['Held by a nonconformance (NCR)'];
+  return [];
+}
 
-    const inspectionsByStatus = {
-      upcoming_import: [],
-      imported: [],
-      inspection: [],
-      finished_inspection: []
-    };
+// The status a record should have after its data changed (new measurements,
+// weight, confirmation): promoted to finished_inspection when it qualifies,
+// back to inspection when a finished record no longer does. Held and shipped
+// records are left alone.
+async function settledStatus(doc) {
+  const status = doc.status || 'finished_inspection';
+  if (status === 'hold' || status === 'shipped') return status;
+  if ((await finishBlockers(doc)).length === 0) return 'finished_inspection';
+  return status === 'finished_inspection' ? 'inspection' : status;
+}
 
-    const fileNum = doc => {
-      const m = doc.filename && doc.filename.match(/^(\d+)/);
-      return m ? parseInt(m[1]) : 0;
-    };
+// settledStatus() of doc with update applied, as fields to merge into the
+// update ({} when the status stays the same)
+async function settledStatusFields(doc, update) {
+  const status = await settledStatus({ ...doc, ...update });
+  return status === (doc.status || 'finished_inspection') ? {} : { status };
+}
 
-    const importFileMap = {};
-    inspectionsResult.documents.forEach(doc => {
-      const status = doc.status || 'finished_inspection';
-      if (status === 'shipped') return;
-      if (inspectionsByStatus[status] !== undefined) {
-        inspectionsByStatus[status].push(doc);
-      } else {
-        inspectionsByStatus['finished_inspection'].push(doc);
-      }
-      if (doc.import_id) {
-        if (!importFileMap[doc.import_id]) importFileMap[doc.import_id] = [];
-        importFileMap[doc.import_id].push(doc.filename);
-      }
-    });
+// Who changed a status, and through which route
+function statusActor(req) {
+  return {
+    user: req.session && req.session.username ? getDisplayName(req.session.username) : 'system',
+    source: `${req.method} ${req.route ? req.route.path : req.path}`
+  };
+}
 
-    Object.keys(inspectionsByStatus).forEach(key => {
-      inspectionsByStatus[key].sort((a, b) => fileNum(a) - fileNum(b));
+// Records doc's change to toStatus. No-op when the status did not change.
+// A failed write is logged and never fails the status change itself.
+async function recordStatusChange(doc, toStatus, actor, note) {
+  const fromStatus = doc.status || null;
+  if (!COLLECTION_STATUS_HISTORY || fromStatus === toStatus) return;
+  try {
+    await databases.createDocument(DATABASE_ID, COLLECTION_STATUS_HISTORY, ID.unique(), {
+      inspection_id: doc.$id,
+      filename: doc.filename || '',
+      from_status: fromStatus,
+      to_status: toStatus,
+      changed_by: actor.user,
+      changed_at: new Date().toISOString(),
+      source: actor.source,
+      note: note || null
     });
+  } catch (err) {
+    console.error(`Failed to record status change for ${doc.filename}:`, err.message);
+  }
+}
 
-    const activeInspections = inspectionsResult.documents.filter(doc => doc.status !== 'shipped');
-    const currentInventory = categorizeInventory(activeInspections);
-
-    const allocations = allocateToAllOrders(
-      ordersResult.documents,
-      currentInventory
-    );
+// Oldest first
+async function listStatusHistory(inspectionId) {
+  if (!COLLECTION_STATUS_HISTORY) return [];
+  const entries = await listAllDocuments(COLLECTION_STATUS_HISTORY, [Query.equal('inspection_id', inspectionId)]);
+  return entries.sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+}
 
-    const ordersWithStock = ordersResult.documents.map(order => {
-      const allocation = allocations[order.$id];
-      return {
-        ...order,
-        stockAvailability: {
-          status: allocation.status,
-          label: allocation.statusLabel,
-          color: allocation.statusColor,
-          allocatedItems: allocation.allocatedItems,
-          breakdown: allocation.breakdown
-        }
-      };
-    });
+// ======================
+// DEVIATION & TOLERANCE USAGE
+// ======================
+// deviation is value − nominal (the band centre when no nominal is given).
+// usage is how far the value sits from the band centre towards the nearer
+// limit, in % of half the band: 0 = centred, 100 = on the limit, >100 = out.
+// Measuring from the centre keeps one-sided tolerances such as Φ11.2 +0.2/0
+// meaningful, where the nominal itself is a limit.
+
+// Colour steps shown on the detail page and the summary (upper bounds, %)
+const USAGE_LEVELS = [
+  { level: 'low', max: 50 },
+  { level: 'mid', max: 75 },
+  { level: 'high', max: 100 },
+  { level: 'over', max: Infinity }
+];
+
+function toleranceUsage(value, item) {
+  if (value === null || value === undefined || !hasLimits(item)) {
+    return { deviation: null, usage: null, usageLevel: null };
+  }
+  const center = (item.lower + item.upper) / 2;
+  const nominal = typeof item.nominal === 'number' ? item.nominal : center;
+  const halfWidth = (item.upper - item.lower) / 2;
+  const usage = halfWidth > 0
+    ? Math.abs(value - center) / halfWidth * 100
+    : (value === center ? 0 : Infinity);
+  const roundedUsage = isFinite(usage) ? Math.round(usage * 10) / 10 : null;
+  return {
+    deviation: Math.round((value - nominal) * 10000) / 10000,
+    usage: roundedUsage,
+    usageLevel: USAGE_LEVELS.find(step => (roundedUsage ?? Infinity) <= step.max).level
+  };
+}
 
-    const importsWithFiles = importsResult.documents.map(imp => ({
-      ...imp,
-      linked_files: importFileMap[imp.$id] || []
-    }));
+function processGroupValues(measurements, group) {
+  const values = group.members
+    .map(key => measurements[key] ? measurements[key].value : null)
+    .filter(value => value !== null);
 
-    res.render("stock-management", {
-      orders: ordersWithStock,
-      imports: importsWithFiles,
-      inspectionsByStatus: inspectionsByStatus,
-      statusConfig: STATUS_CONFIG,
-      username: req.session.username,
-      displayName: getDisplayName(req.session.username),
-      canEditWeights: req.session.canEditWeights
-    });
-  } catch (error) {
-    console.error("Error loading stock management:", error);
-    res.status(500).send("Error loading stock management");
+  if (values.length === 0) {
+    return { value: null, isValid: null };
   }
-});
+
+  const average = values.reduce((total, value) => total + value, 0) / values.length;
+  return { value: average, isValid: isValidMeasurement(average, group) };
+}
 
 // ======================
-// TUIKA-PROCESS ROUTE
+// MEASUREMENT STORAGE
 // ======================
+// Measured values are float attributes value<KEY> (null = not measured) with
+// boolean isValid<KEY> (null = not judged). Documents written before this
+// model kept strings in measurement<KEY> ('-' = missing); measurement_schema
+// tells the two apart until POST /api/migrate-measurements has converted them.
+
+const MEASUREMENT_SCHEMA_VERSION = 2;
+
+function parseLegacyMeasurement(raw) {
+  if (raw === null || raw === undefined) return { value: null, ok: true };
+  const text = String(raw).trim();
+  if (text === '' || text === '-') return { value: null, ok: true };
+  const value = Number(text);
+  return isNaN(value) ? { value: null, ok: false } : { value, ok: true };
+}
 
-app.get("/tuika-process", requireAuth, async (req, res) => {
-  try {
-    res.render("tuika-process", {
-      username: req.session.username,
-      displayName: getDisplayName(req.session.username),
-      canEditWeights: req.session.canEditWeights || false
+function parseLegacyValidity(raw) {
+  if (raw === true || raw === 'true') return true;
+  if (raw === false || raw === 'false') return false;
+  return null;
+}
+
+function isNumericSchema(doc) {
+  return (parseInt(doc.measurement_schema) || 1) >= MEASUREMENT_SCHEMA_VERSION;
+}
+
+// number | null
+function readMeasurement(doc, key) {
+  if (isNumericSchema(doc)) {
+    const value = doc[`value${key}`];
+    return typeof value === 'number' ? value : null;
+  }
+  return parseLegacyMeasurement(doc[`measurement${key}`]).value;
+}
+
+// true | false | null
+function readValidity(doc, key) {
+  return parseLegacyValidity(doc[`isValid${key}`]);
+}
+
+// Placeholders created by an import schedule have no measured value yet
+function hasMeasurementData(doc) {
+  if (isNumericSchema(doc)) {
+    return Object.keys(doc).some(field => /^value[A-Z]/.test(field) && typeof doc[field] === 'number');
+  }
+  return readMeasurement(doc, 'A') !== null;
+}
+
+// Lots are stored and queried as strings. Import placeholders used to write
+// the lot as a number, which a string Query.equal never matches.
+function normalizeLot(lot) {
+  if (lot === null || lot === undefined) return null;
+  const text = String(lot).trim();
+  return text || null;
+}
+
+// The update that converts one legacy document (and backfills lot and
+// file_number), plus the values that could not be parsed (those are written
+// as null). Returns null when there is nothing to convert.
+function migrateMeasurementFields(doc) {
+  const update = {};
+  const problems = [];
+  if (typeof doc.lot === 'number') update.lot = normalizeLot(doc.lot);
+  if (doc.file_number === null || doc.file_number === undefined) update.file_number = fileNumberOf(doc.filename);
+
+  if (!isNumericSchema(doc)) {
+    update.measurement_schema = MEASUREMENT_SCHEMA_VERSION;
+    Object.keys(doc).forEach(field => {
+      const match = field.match(/^measurement([A-Z][A-Z0-9_]*)$/);
+      if (match) {
+        const parsed = parseLegacyMeasurement(doc[field]);
+        update[`value${match[1]}`] = parsed.value;
+        if (!parsed.ok) problems.push({ field, raw: doc[field] });
+      } else if (/^isValid[A-Z]/.test(field)) {
+        update[field] = parseLegacyValidity(doc[field]);
+      }
     });
-  } catch (error) {
-    console.error("Error loading tuika-process page:", error);
-    res.status(500).send("Error loading tuika-process page");
   }
-});
+  return Object.keys(update).length > 0 ? { update, problems } : null;
+}
 
 // ======================
-// TUIKA STORAGE API
+// PART SPECIFICATIONS
 // ======================
+// Each document in COLLECTION_PART_SPECS is one immutable version of a
+// product's checkpoint list. Saving a change creates version N+1; uploads are
+// judged against the newest version and record its $id in spec_id, so
+// existing verdicts keep pointing at the version they were judged with.
+// checkpoints / groups / columns are stored as JSON strings.
+
+const MANUAL_CHECKPOINT_TYPES = ['MANUAL', 'VISUAL'];
+const partSpecCache = {};
+
+// Specs saved before the shared CMM parser (feature_model 1) used the old
+// server field names: DISTANCE's first value column was called 'y' and the
+// CIRCLE form deviation 'roundness'.
+const FEATURE_MODEL_VERSION = 2;
+const LEGACY_FEATURE_FIELDS = {
+  'DISTANCE': { y: 'x' },
+  'CIRCLE': { roundness: 'deviation' }
+};
+
+function upgradeLegacySource(source) {
+  const renames = LEGACY_FEATURE_FIELDS[source.type];
+  if (!renames || !renames[source.field]) return source;
+  return { ...source, field: renames[source.field] };
+}
+
+function upgradeLegacyCheckpoint(checkpoint) {
+  if (checkpoint.type === 'AVERAGE') {
+    return { ...checkpoint, sources: (checkpoint.sources || []).map(upgradeLegacySource) };
+  }
+  return upgradeLegacySource(checkpoint);
+}
+
+function hasLimits(checkpoint) {
+  return typeof checkpoint.lower === 'number' && typeof checkpoint.upper === 'number';
+}
+
+function isMeasuredCheckpoint(checkpoint) {
+  return !MANUAL_CHECKPOINT_TYPES.includes(checkpoint.type);
+}
+
+function parseSpecJson(value, fallback) {
+  if (Array.isArray(value)) return value;
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function normalizePartSpec(doc) {
+  const featureModel = parseInt(doc.feature_model) || 1;
+  const checkpoints = parseSpecJson(doc.checkpoints, []);
+  return {
+    $id: doc.$id || null,
+    product_code: doc.product_code,
+    product_name: doc.product_name || doc.product_code,
+    version: parseInt(doc.version) || 1,
+    spec_number: doc.spec_number || '',
+    drawing_number: doc.drawing_number || '',
+    notes: doc.notes || '',
+    created_by: doc.created_by || null,
+    created_at: doc.created_at || null,
+    feature_model: FEATURE_MODEL_VERSION,
+    checkpoints: featureModel < FEATURE_MODEL_VERSION ? checkpoints.map(upgradeLegacyCheckpoint) : checkpoints,
+    groups: parseSpecJson(doc.groups, []),
+    columns: parseSpecJson(doc.columns, [])
+  };
+}
+
+function serializePartSpec(spec) {
+  return {
+    product_code: spec.product_code,
+    product_name: spec.product_name,
+    version: spec.version,
+    feature_model: FEATURE_MODEL_VERSION,
+    spec_number: spec.spec_number || '',
+    drawing_number: spec.drawing_number || '',
+    notes: spec.notes || '',
+    created_by: spec.created_by || '',
+    created_at: spec.created_at || new Date().toISOString(),
+    checkpoints: JSON.stringify(spec.checkpoints),
+    groups: JSON.stringify(spec.groups || []),
+    columns: JSON.stringify(spec.columns || [])
+  };
+}
+
+function validateDerivedCheckpoint(cp, label, errors) {
+  const isSource = s => s && s.type && Number.isInteger(s.index);
+  const minSources = cp.type === 'ANGULAR_SPACING' ? 2 : 3;
+  const needsSources = cp.type === 'PCD' || cp.type === 'ANGULAR_SPACING' || !cp.datum;
+
+  if (cp.plane && !PLANE_AXES[cp.plane]) errors.push(`${label}: plane must be XY, YZ or ZX`);
+  if (needsSources && (!Array.isArray(cp.sources) || cp.sources.length < minSources || !cp.sources.every(isSource))) {
+    errors.push(`${label}: ${cp.type} needs at least ${minSources} sources with type and index`);
+  }
+  if (cp.datum && !isSource(cp.datum)) errors.push(`${label}: datum needs type and index`);
+  if (cp.type === 'TRUE_POSITION') {
+    if (!isSource(cp.source)) errors.push(`${label}: TRUE_POSITION needs a source with type and index`);
+    if (typeof cp.pcd !== 'number' || typeof cp.angle !== 'number') {
+      errors.push(`${label}: TRUE_POSITION needs numeric pcd and angle`);
+    }
+  }
+}
+
+function validateGuardBand(item, label, errors) {
+  if (item.guard === undefined) return;
+  const { absolute, percent } = item.guard || {};
+  const isAmount = v => typeof v === 'number' && v >= 0;
+  if ((absolute === undefined) === (percent === undefined)) {
+    errors.push(`${label}: guard needs exactly one of absolute or percent`);
+  } else if (!isAmount(absolute === undefined ? percent : absolute)) {
+    errors.push(`${label}: guard must be a non-negative number`);
+  } else if (hasLimits(item) && guardBandWidth(item) * 2 >= item.upper - item.lower) {
+    errors.push(`${label}: guard band leaves no passing range`);
+  }
+}
+
+function validatePartSpec(spec) {
+  const errors = [];
+  const keyPattern = /^[A-Z][A-Z0-9_]*$/;
+
+  if (!spec.product_code) errors.push('product_code is required');
+  if (!Array.isArray(spec.checkpoints) || spec.checkpoints.length === 0) {
+    errors.push('checkpoints must be a non-empty array');
+    return errors;
+  }
+
+  const keys = new Set();
+  spec.checkpoints.forEach((cp, i) => {
+    const label = cp.key || `#${i + 1}`;
+    if (!cp.key || !keyPattern.test(cp.key)) errors.push(`${label}: key must be uppercase letters/digits`);
+    if (keys.has(cp.key)) errors.push(`${label}: duplicate key`);
+    keys.add(cp.key);
+
+    if (!isMeasuredCheckpoint(cp)) return;
+
+    const checkSource = source => {
+      if (!CmmParser.FEATURE_LAYOUTS[source.type]) {
+        errors.push(`${label}: unknown feature type ${source.type}`);
+      } else if (!CmmParser.featureFields(source.type).includes(source.field)) {
+        errors.push(`${label}: ${source.type} has no field ${source.field}`);
+      }
+    };
+
+    if (DERIVED_CHECKPOINT_TYPES.includes(cp.type)) {
+      validateDerivedCheckpoint(cp, label, errors);
+    } else if (cp.type === 'AVERAGE') {
+      if (!Array.isArray(cp.sources) || cp.sources.length === 0) {
+        errors.push(`${label}: AVERAGE requires sources`);
+      } else if (cp.sources.some(s => !s.type || !Number.isInteger(s.index) || !s.field)) {
+        errors.push(`${label}: every source needs type, index and field`);
+      } else {
+        cp.sources.forEach(checkSource);
+      }
+    } else if (!cp.type || !Number.isInteger(cp.index) || !cp.field) {
+      errors.push(`${label}: type, index and field are required`);
+    } else {
+      checkSource(cp);
+    }
+
+    if (!hasLimits(cp)) {
+      errors.push(`${label}: lower and upper limits must be numbers`);
+    } else if (cp.lower > cp.upper) {
+      errors.push(`${label}: lower limit is greater than upper limit`);
+    }
+    validateGuardBand(cp, label, errors);
+  });
+
+  (spec.groups || []).forEach(group => {
+    if (!group.key || !keyPattern.test(group.key)) errors.push(`group ${group.key || '?'}: invalid key`);
+    if (keys.has(group.key)) errors.push(`group ${group.key}: key collides with a checkpoint`);
+    if (!Array.isArray(group.members) || group.members.length === 0) {
+      errors.push(`group ${group.key}: members are required`);
+    } else {
+      group.members.filter(m => !keys.has(m)).forEach(m => errors.push(`group ${group.key}: unknown member ${m}`));
+    }
+    if (!hasLimits(group)) errors.push(`group ${group.key}: lower and upper limits must be numbers`);
+    validateGuardBand(group, `group ${group.key}`, errors);
+  });
+
+  const groupKeys = new Set((spec.groups || []).map(g => g.key));
+  (spec.columns || []).forEach(col => {
+    if (!keys.has(col) && !groupKeys.has(col)) errors.push(`column ${col}: not a checkpoint or group`);
+  });
+
+  return errors;
+}
+
+async function listPartSpecVersions(productCode) {
+  if (!COLLECTION_PART_SPECS) return [];
+  const queries = [Query.orderDesc('version')];
+  if (productCode) queries.unshift(Query.equal('product_code', productCode));
+  const documents = await listAllDocuments(COLLECTION_PART_SPECS, queries);
+  return documents.map(normalizePartSpec);
+}
+
+async function createPartSpecVersion(spec, username, documentId = ID.unique()) {
+  const existing = await listPartSpecVersions(spec.product_code);
+  const version = existing.length > 0 ? existing[0].version + 1 : 1;
+
+  const doc = await databases.createDocument(
+    DATABASE_ID,
+    COLLECTION_PART_SPECS,
+    documentId,
+    serializePartSpec({
+      ...spec,
+      version,
+      created_by: username ? getDisplayName(username) : 'system',
+      created_at: new Date().toISOString()
+    })
+  );
+
+  const created = normalizePartSpec(doc);
+  partSpecCache[created.$id] = created;
+  return created;
+}
+
+// The default product's v1 has a fixed $id, so concurrent first requests
+// cannot seed it twice: the loser gets a 409 and reads the winner's copy.
+const DEFAULT_PART_SPEC_SEED_ID = 'default-part-spec-v1';
+
+async function seedDefaultPartSpec() {
+  try {
+    return await createPartSpecVersion(DEFAULT_PART_SPEC, null, DEFAULT_PART_SPEC_SEED_ID);
+  } catch (error) {
+    if (error.code !== 409) throw error;
+    return getPartSpec(DEFAULT_PART_SPEC_SEED_ID);
+  }
+}
+
+// Latest version for a product. The default product is seeded from
+// DEFAULT_PART_SPEC the first time the collection is used.
+async function getCurrentPartSpec(productCode) {
+  const code = productCode || DEFAULT_PRODUCT_CODE;
+  if (!COLLECTION_PART_SPECS) {
+    if (code !== DEFAULT_PRODUCT_CODE) return null;
+    return normalizePartSpec(DEFAULT_PART_SPEC);
+  }
+
+  const result = await databases.listDocuments(
+    DATABASE_ID,
+    COLLECTION_PART_SPECS,
+    [Query.equal('product_code', code), Query.orderDesc('version'), Query.limit(1)]
+  );
+
+  if (result.documents.length > 0) {
+    const spec = normalizePartSpec(result.documents[0]);
+    partSpecCache[spec.$id] = spec;
+    return spec;
+  }
+
+  if (code !== DEFAULT_PRODUCT_CODE) return null;
+  return seedDefaultPartSpec();
+}
+
+// Spec a record was judged against. Versions are immutable, so they are cached
+// for the life of the process. Records without a spec_id predate the spec
+// collection and were judged against DEFAULT_PART_SPEC.
+async function getPartSpec(specId) {
+  if (!specId || !COLLECTION_PART_SPECS) return normalizePartSpec(DEFAULT_PART_SPEC);
+  if (partSpecCache[specId]) return partSpecCache[specId];
+
+  const doc = await databases.getDocument(DATABASE_ID, COLLECTION_PART_SPECS, specId);
+  const spec = normalizePartSpec(doc);
+  partSpecCache[specId] = spec;
+  return spec;
+}
+
+// Query for one product's inspections. Records from before product codes
+// count as the default product.
+function productQuery(productCode) {
+  return productCode === DEFAULT_PRODUCT_CODE
+    ? Query.or([Query.equal('product_code', productCode), Query.isNull('product_code')])
+    : Query.equal('product_code', productCode);
+}
+
+async function listCurrentPartSpecs() {
+  if (!COLLECTION_PART_SPECS) return [normalizePartSpec(DEFAULT_PART_SPEC)];
+  const versions = await listPartSpecVersions(null);
+  const latest = {};
+  versions.forEach(spec => {
+    if (!latest[spec.product_code] || latest[spec.product_code].version < spec.version) {
+      latest[spec.product_code] = spec;
+    }
+  });
+  if (!latest[DEFAULT_PRODUCT_CODE]) {
+    latest[DEFAULT_PRODUCT_CODE] = await getCurrentPartSpec(DEFAULT_PRODUCT_CODE);
+  }
+  return Object.values(latest);
+}
+
+function getMeasuredCheckpoints(spec) {
+  return spec.checkpoints.filter(isMeasuredCheckpoint);
+}
+
+function getSpecItem(spec, key) {
+  return spec.checkpoints.find(cp => cp.key === key)
+    || spec.groups.find(g => g.key === key)
+    || null;
+}
+
+function evaluateMeasurements(parsedData, spec) {
+  const measurements = {};
+  const validations = {};
+
+  getMeasuredCheckpoints(spec).forEach(checkpoint => {
+    const value = extractMeasurementValue(parsedData, checkpoint);
+    measurements[`value${checkpoint.key}`] = value;
+    validations[`isValid${checkpoint.key}`] = isValidMeasurement(value, checkpoint);
+  });
+  // Every writer spreads measurements, so this marks the document as numeric
+  measurements.measurement_schema = MEASUREMENT_SCHEMA_VERSION;
+
+  // New data invalidates an earlier sign-off
+  const { verdict, failed, conditional } = overallVerdict(buildMeasurementsFromDoc(measurements, spec), spec);
+  const verdictFields = {
+    inspectionStatus: verdict,
+    failedMeasurements: failed.join(','),
+    conditionalMeasurements: conditional.join(','),
+    conditional_signoff_by: null,
+    conditional_signoff_at: null,
+    conditional_signoff_note: null
+  };
+
+  return { measurements, validations, verdictFields };
+}
+
+// { A: {value, isValid, verdict, deviation, usage, usageLevel}, ..., G: {...} }
+// for every measured checkpoint and averaging group in the spec.
+function buildMeasurementsFromDoc(doc, spec) {
+  const measurements = {};
+  getMeasuredCheckpoints(spec).forEach(checkpoint => {
+    const value = readMeasurement(doc, checkpoint.key);
+    measurements[checkpoint.key] = {
+      value,
+      isValid: readValidity(doc, checkpoint.key),
+      verdict: measurementVerdict(value, checkpoint),
+      ...toleranceUsage(value, checkpoint)
+    };
+  });
+  spec.groups.forEach(group => {
+    const groupValue = processGroupValues(measurements, group);
+    measurements[group.key] = {
+      ...groupValue,
+      verdict: measurementVerdict(groupValue.value, group),
+      ...toleranceUsage(groupValue.value, group)
+    };
+  });
+  return measurements;
+}
+
+// ======================
+// MAIN INDEX ROUTE
+// ======================
+
+app.get("/", requireAuth, async (req, res) => {
+  try {
+    const showArchived = req.query.archived === 'true';
+
+    // Every matching inspection — never silently truncate at 1000.
+    const allDocs = await listAllDocuments(COLLECTION_INSPECTIONS, [
+      Query.equal('is_archived', showArchived),
+      Query.notEqual('status', 'shipped')
+    ]);
+
+    const files = allDocs
+      .map(doc => {
+        const status = doc.status || 'finished_inspection';
+        const statusCfg = STATUS_CONFIG[status] || STATUS_CONFIG['finished_inspection'];
+        return {
+          ...doc,
+          fileNumber: doc.filename ? doc.filename.replace(/\.(txt|TXT)$/, '') : 'Unknown',
+          statusColor: statusCfg.color,
+          statusOpacity: statusCfg.opacity,
+          statusLabel: statusCfg.label
+        };
+      })
+      .sort((a, b) => (parseInt(a.fileNumber) || 0) - (parseInt(b.fileNumber) || 0));
+
+    const products = await listCurrentPartSpecs();
+
+    res.render("index", {
+      files: files,
+      products: products,
+      defaultProductCode: DEFAULT_PRODUCT_CODE,
+      defaultParsePolicy: DEFAULT_PARSE_POLICY,
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username),
+      canEditWeights: req.session.canEditWeights,
+      showArchived: showArchived,
+      statusConfig: STATUS_CONFIG,
+      lotWeightStats: lotWeightStats(allDocs),
+      weightRules: WEIGHT_RULES,
+      alerts: await loadAlertBanner()
+    });
+  } catch (error) {
+    console.error("Error fetching files:", error);
+    res.status(500).send("Error loading files");
+  }
+});
+
+// ======================
+// STOCK MANAGEMENT VIEW
+// ======================
+
+app.get("/stock-management", requireAuth, async (req, res) => {
+  try {
+    const orders = await loadOpenOrders();
+
+    // Only fetch scheduled imports (arrived ones move to inventory, no longer shown in imports tab)
+    const importsResult = { documents: await loadScheduledImports() };
+
+    const inspectionsResult = { documents: await loadActiveInspections() };
+
+    const inspectionsByStatus = {
+      upcoming_import: [],
+      imported: [],
+      inspection: [],
+      finished_inspection: [],
+      hold: []
+    };
+
+    const fileNum = doc => {
+      const m = doc.filename && doc.filename.match(/^(\d+)/);
+      return m ? parseInt(m[1]) : 0;
+    };
+
+    const importFileMap = {};
+    inspectionsResult.documents.forEach(doc => {
+      const status = doc.status || 'finished_inspection';
+      if (status === 'shipped') return;
+      const entry = { ...doc, ncr_held: isHeldByNcr(doc) };
+      if (inspectionsByStatus[status] !== undefined) {
+        inspectionsByStatus[status].push(entry);
+      } else {
+        inspectionsByStatus['finished_inspection'].push(entry);
+      }
+      if (doc.import_id) {
+        if (!importFileMap[doc.import_id]) importFileMap[doc.import_id] = [];
+        importFileMap[doc.import_id].push(doc.filename);
+      }
+    });
+
+    Object.keys(inspectionsByStatus).forEach(key => {
+      inspectionsByStatus[key].sort((a, b) => fileNum(a) - fileNum(b));
+    });
+
+    // Parts held by a nonconformance are not allocated to orders
+    const ncrHeldCount = inspectionsResult.documents.filter(isHeldByNcr).length;
+    const { allocations } = allocateOrders(orders, inspectionsResult.documents);
+    const ordersWithStock = orders.map(order => ({ ...order, allocation: allocations[order.$id] }));
+
+    const importsWithFiles = importsResult.documents.map(imp => ({
+      ...imp,
+      linked_files: importFileMap[imp.$id] || []
+    }));
+
+    res.render("stock-management", {
+      orders: ordersWithStock,
+      imports: importsWithFiles,
+      inspectionsByStatus: inspectionsByStatus,
+      statusConfig: STATUS_CONFIG,
+      alerts: await loadAlertBanner(),
+      ncrHeldCount,
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username),
+      canEditWeights: req.session.canEditWeights
+    });
+  } catch (error) {
+    console.error("Error loading stock management:", error);
+    res.status(500).send("Error loading stock management");
+  }
+});
+
+// ======================
+// TUIKA-PROCESS ROUTE
+// ======================
+
+app.get("/tuika-process", requireAuth, async (req, res) => {
+  try {
+    res.render("tuika-process", {
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username),
+      canEditWeights: req.session.canEditWeights || false
+    });
+  } catch (error) {
+    console.error("Error loading tuika-process page:", error);
+    res.status(500).send("Error loading tuika-process page");
+  }
+});
+
+// ======================
+// TUIKA STORAGE API
+// ======================
+
 
 
-
 // Full inspection lookup for tuika-process
 // - weight + lot come from inspections (matched by filename e.g. 494.txt)
 // - pingauge + inspection_date come from tuika_exports (matched by lot number prefix)
@@ -1017,46 +1940,132 @@ app.delete("/api/tuika/:metaId", requireAuth, async (req, res) => {
 });
 
 // ======================
-// ORDER MANAGEMENT API
+// PART SPECIFICATION API
 // ======================
 
-app.post("/api/orders", requireAuth, async (req, res) => {
+app.get("/part-specs", requireAuth, async (req, res) => {
   try {
-    const { quantity, due_date } = req.body;
-
-    if (!quantity || !due_date) {
-      return res.status(400).json({ success: false, error: 'Quantity and due date are required' });
-    }
+    const specs = await listCurrentPartSpecs();
+    const versions = await listPartSpecVersions(null);
 
-    const order = await databases.createDocument(
-      DATABASE_ID,
-      COLLECTION_ORDERS,
-      ID.unique(),
-      {
-        quantity: parseInt(quantity),
-        due_date: due_date,
-        status: 'pending'
-      }
-    );
+    res.render("part-specs", {
+      specs,
+      versions,
+      storageEnabled: !!COLLECTION_PART_SPECS,
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username),
+      canEditWeights: req.session.canEditWeights
+    });
+  } catch (error) {
+    console.error("Error loading part specs:", error);
+    res.status(500).send("Error loading part specs");
+  }
+});
 
-    res.json({ success: true, order: order });
+app.get("/api/part-specs", requireAuth, async (req, res) => {
+  try {
+    const versions = await listPartSpecVersions(req.query.product || null);
+    res.json({ success: true, specs: versions });
   } catch (error) {
-    console.error("Error creating order:", error);
+    console.error("Error listing part specs:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.put("/api/orders/:orderId", requireAuth, async (req, res) => {
+app.get("/api/part-specs/:specId", requireAuth, async (req, res) => {
   try {
-    const { orderId } = req.params;
-    const { quantity, due_date, status } = req.body;
-
-    const updateData = {};
-    if (quantity !== undefined) updateData.quantity = parseInt(quantity);
+    const spec = await getPartSpec(req.params.specId);
+    res.json({ success: true, spec });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Saving always creates a new version; existing versions are never edited so
+// records judged against them keep their original verdicts.
+app.post("/api/part-specs", requireWeightEditAuth, async (req, res) => {
+  try {
+    if (!COLLECTION_PART_SPECS) {
+      return res.status(400).json({ success: false, error: 'APPWRITE_COLLECTION_PART_SPECS_ID is not configured' });
+    }
+
+    const spec = {
+      product_code: req.body.product_code,
+      product_name: req.body.product_name,
+      spec_number: req.body.spec_number,
+      drawing_number: req.body.drawing_number,
+      notes: req.body.notes,
+      checkpoints: parseSpecJson(req.body.checkpoints, null),
+      groups: parseSpecJson(req.body.groups, []),
+      columns: parseSpecJson(req.body.columns, [])
+    };
+
+    const errors = validatePartSpec(spec);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid specification', errors });
+    }
+
+    const created = await createPartSpecVersion(spec, req.session.username);
+    res.json({ success: true, spec: created });
+  } catch (error) {
+    console.error("Error creating part spec:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ======================
+// ORDER MANAGEMENT API
+// ======================
+
+app.post("/api/orders", requireAuth, async (req, res) => {
+  try {
+    const { quantity, due_date } = req.body;
+
+    if (!quantity || !due_date) {
+      return res.status(400).json({ success: false, error: 'Quantity and due date are required' });
+    }
+
+    const order = await databases.createDocument(
+      DATABASE_ID,
+      COLLECTION_ORDERS,
+      ID.unique(),
+      {
+        quantity: parseInt(quantity),
+        due_date: due_date,
+        status: 'pending'
+      }
+    );
+
+    res.json({ success: true, order: order });
+  } catch (error) {
+    console.error("Error creating order:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put("/api/orders/:orderId", requireAuth, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { quantity, due_date } = req.body;
+
+    // The status is not editable here: shipping and the quantity set it
+    const updateData = {};
+    if (quantity !== undefined) {
+      const qty = Number(quantity);
+      if (quantity === '' || !Number.isInteger(qty)) {
+        return res.status(400).json({ success: false, error: 'quantity must be an integer' });
+      }
+      const current = await databases.getDocument(DATABASE_ID, COLLECTION_ORDERS, orderId);
+      const shipped = parseInt(current.shipped_quantity) || 0;
+      const minimum = Math.max(1, shipped + orderReservedIds(current).length);
+      if (qty < minimum) {
+        return res.status(400).json({ success: false, error: `Quantity cannot be below ${minimum} (${shipped} shipped, ${orderReservedIds(current).length} reserved)` });
+      }
+      updateData.quantity = qty;
+      // Lowering the quantity to what has shipped completes the order
+      if (shipped > 0 && qty === shipped) updateData.status = 'shipped';
+    }
     if (due_date !== undefined) updateData.due_date = due_date;
-    // Status: only update if explicitly provided (auto-status is computed on the frontend)
-    if (status !== undefined) updateData.status = status;
-    // If no status given and this is a new-style edit (quantity/due_date only), keep existing status
 
     const order = await databases.updateDocument(
       DATABASE_ID,
@@ -1072,6 +2081,20 @@ app.put("/api/orders/:orderId", requireAuth, async (req, res) => {
   }
 });
 
+app.put("/api/orders/:orderId/cancel", requireAuth, async (req, res) => {
+  try {
+    const current = await databases.getDocument(DATABASE_ID, COLLECTION_ORDERS, req.params.orderId);
+    if (!isOrderActive(current)) {
+      return res.status(409).json({ success: false, error: `Cannot cancel a ${current.status} order` });
+    }
+    const order = await databases.updateDocument(DATABASE_ID, COLLECTION_ORDERS, current.$id, { status: 'cancelled' });
+    res.json({ success: true, order: order });
+  } catch (error) {
+    console.error("Error cancelling order:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.delete("/api/orders/:orderId", requireAuth, async (req, res) => {
   try {
     await databases.deleteDocument(DATABASE_ID, COLLECTION_ORDERS, req.params.orderId);
@@ -1091,28 +2114,210 @@ app.get("/api/orders/:orderId", requireAuth, async (req, res) => {
   }
 });
 
+// Allocation of stock to every open order, as the stock page shows it
+app.get("/api/allocations", requireAuth, async (req, res) => {
+  try {
+    const orders = await loadOpenOrders();
+    const { allocations, unallocated } = allocateOrders(orders, await loadActiveInspections());
+    res.json({
+      success: true,
+      orders: sortOrdersByDue(orders).map(order => allocations[order.$id]),
+      unallocated
+    });
+  } catch (error) {
+    console.error("Error computing allocations:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Pins parts to an order by file number. Body: { fileNumbers: [494, 495] };
+// the list replaces the order's reservations ([] clears them). Reserved parts
+// are never moved to another order by automatic allocation.
+app.put("/api/orders/:orderId/reservations", requireAuth, async (req, res) => {
+  try {
+    const fileNumbers = [...new Set((req.body.fileNumbers || []).map(n => parseInt(n)))];
+    if (fileNumbers.some(n => !(n > 0))) {
+      return res.status(400).json({ success: false, error: 'File numbers must be positive integers' });
+    }
+
+    const order = await databases.getDocument(DATABASE_ID, COLLECTION_ORDERS, req.params.orderId);
+    if (!isOrderActive(order)) {
+      return res.status(409).json({ success: false, error: `Cannot reserve parts for a ${order.status} order` });
+    }
+    if (fileNumbers.length > orderRemaining(order)) {
+      return res.status(400).json({ success: false, error: `An order with ${orderRemaining(order)} parts remaining cannot reserve ${fileNumbers.length} parts` });
+    }
+
+    const inspections = await loadActiveInspections();
+    const byNumber = new Map(inspections.map(doc => [fileNumberOf(doc.filename), doc]));
+    const unknown = fileNumbers.filter(n => !byNumber.has(n));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `No unshipped part with file number: ${unknown.join(', ')}` });
+    }
+
+    const docs = fileNumbers.map(n => byNumber.get(n));
+    const unavailable = docs.filter(doc => doc.status === 'hold' || isHeldByNcr(doc));
+    if (unavailable.length > 0) {
+      return res.status(409).json({ success: false, error: `Held parts cannot be reserved: ${unavailable.map(doc => doc.filename).join(', ')}` });
+    }
+
+    const requested = new Map(docs.map(doc => [doc.$id, doc]));
+    const orders = await loadOpenOrders();
+    const conflicts = orders
+      .filter(o => o.$id !== order.$id && isOrderActive(o))
+      .flatMap(o => orderReservedIds(o)
+        .filter(id => requested.has(id))
+        .map(id => `${requested.get(id).filename} (order due ${o.due_date})`));
+    if (conflicts.length > 0) {
+      return res.status(409).json({ success: false, error: `Already reserved by another order: ${conflicts.join(', ')}` });
+    }
+
+    const updated = await databases.updateDocument(DATABASE_ID, COLLECTION_ORDERS, order.$id, {
+      reserved_ids: docs.map(doc => doc.$id)
+    });
+    const { allocations } = allocateOrders(orders.map(o => (o.$id === updated.$id ? updated : o)), inspections);
+
+    res.json({ success: true, order: updated, allocation: allocations[updated.$id] });
+  } catch (error) {
+    console.error("Error reserving parts:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reverses a shipment whose parts or order could not all be written: parts
+// already marked shipped get their status back and the shipment record is
+// deleted. Failures here are logged; the caller reports the original error.
+async function undoShipment(shipment, shippedItems, actor) {
+  try {
+    for (const item of shippedItems) {
+      const status = item.status || 'finished_inspection';
+      await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, item.$id, { status });
+      await recordStatusChange({ ...item, status: 'shipped' }, status, actor, `Shipment ${shipment.$id} undone`);
+    }
+    await databases.deleteDocument(DATABASE_ID, COLLECTION_SHIPMENTS, shipment.$id);
+  } catch (error) {
+    console.error(`Error undoing shipment ${shipment.$id}:`, error);
+  }
+}
+
+// Ships parts of an order. Body: { itemIds, note }. Each call is one
+// shipment: it is recorded first, then the parts become shipped and the order
+// is updated; if either write fails the shipment is undone. The order stays
+// open until its full quantity has shipped. Parts that cannot ship, or are
+// not reserved or allocated to this order, are skipped and listed.
 app.put("/api/orders/:orderId/ship", requireAuth, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { itemIds } = req.body;
+    const itemIds = [...new Set(req.body.itemIds || [])];
+    const note = (req.body.note || '').trim();
+
+    const order = await databases.getDocument(DATABASE_ID, COLLECTION_ORDERS, orderId);
+    if (!isOrderActive(order)) {
+      return res.status(409).json({ success: false, error: `Cannot ship a ${order.status} order` });
+    }
+    const remaining = orderRemaining(order);
+    if (itemIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'No parts to ship' });
+    }
+    if (itemIds.length > remaining) {
+      return res.status(400).json({ success: false, error: `Only ${remaining} parts remain on this order` });
+    }
+
+    // Only parts this order holds: its reservations and its share of the
+    // automatic allocation
+    const { allocations } = allocateOrders(await loadOpenOrders(), await loadActiveInspections());
+    const ownIds = new Set(allocations[orderId] ? allocations[orderId].items.map(item => item.$id) : []);
+
+    const actor = statusActor(req);
+    const shippable = [];
+    const skippedHeld = [];
+    const skipped = []; // { filename, reason } for parts that cannot ship
+    for (const itemId of itemIds) {
+      const item = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, itemId);
+      if (item.status === 'hold') {
+        skippedHeld.push(item.filename);
+        continue;
+      }
+      const blockers = shipBlockers(item);
+      if (blockers.length === 0 && !ownIds.has(item.$id)) blockers.push('Not reserved or allocated to this order');
+      if (blockers.length > 0) {
+        skipped.push({ filename: item.filename, reason: blockers.join('; ') });
+        continue;
+      }
+      shippable.push(item);
+    }
+
+    if (shippable.length === 0) {
+      return res.status(409).json({ success: false, error: 'None of the parts could be shipped', skippedHeld, skipped });
+    }
+
+    const shippedIds = shippable.map(item => item.$id);
+    let shipment = await databases.createDocument(DATABASE_ID, COLLECTION_SHIPMENTS, ID.unique(), {
+      order_id: orderId,
+      item_ids: shippedIds,
+      filenames: shippable.map(item => item.filename),
+      quantity: shippable.length,
+      shipped_by: actor.user,
+      shipped_at: new Date().toISOString(),
+      note: note || null
+    });
 
-    let shippedCount = 0;
-    if (itemIds && itemIds.length > 0) {
-      for (const itemId of itemIds) {
-        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, itemId, { status: 'shipped' });
-        shippedCount++;
+    const shippedItems = [];
+    let updatedOrder;
+    try {
+      for (const item of shippable) {
+        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, item.$id, { status: 'shipped' });
+        shippedItems.push(item);
+        await recordStatusChange(item, 'shipped', actor, `Order ${orderId}`);
       }
+      const shippedQuantity = (parseInt(order.shipped_quantity) || 0) + shippable.length;
+      updatedOrder = await databases.updateDocument(DATABASE_ID, COLLECTION_ORDERS, orderId, {
+        shipped_quantity: shippedQuantity,
+        reserved_ids: orderReservedIds(order).filter(id => !shippedIds.includes(id)),
+        status: shippedQuantity >= (parseInt(order.quantity) || 0) ? 'shipped' : order.status
+      });
+    } catch (error) {
+      await undoShipment(shipment, shippedItems, actor);
+      throw error;
     }
 
-    await databases.updateDocument(DATABASE_ID, COLLECTION_ORDERS, orderId, { status: 'shipped' });
+    if (BUCKET_SHIPPING_DOCS_ID) {
+      try {
+        shipment = await storeShippingExcel(shipment);
+      } catch (err) {
+        console.error("Error storing shipping documents:", err.message);
+      }
+    }
 
-    res.json({ success: true, shippedCount });
+    res.json({
+      success: true,
+      shippedCount: shippedItems.length,
+      remaining: orderRemaining(updatedOrder),
+      order: updatedOrder,
+      shipment,
+      skippedHeld,
+      skipped
+    });
   } catch (error) {
     console.error("Error shipping order:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Shipments of one order, oldest first
+app.get("/api/orders/:orderId/shipments", requireAuth, async (req, res) => {
+  try {
+    const shipments = await listAllDocuments(COLLECTION_SHIPMENTS, [
+      Query.equal('order_id', req.params.orderId),
+      Query.orderAsc('shipped_at')
+    ]);
+    res.json({ success: true, shipments });
+  } catch (error) {
+    console.error("Error listing shipments:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get("/api/imports/:importId", requireAuth, async (req, res) => {
   try {
     const doc = await databases.getDocument(DATABASE_ID, COLLECTION_IMPORTS, req.params.importId);
@@ -1122,6 +2327,387 @@ app.get("/api/imports/:importId", requireAuth, async (req, res) => {
   }
 });
 
+// ======================
+// SHIPPING DOCUMENTS
+// ======================
+// Each shipment gets a delivery note (納品書) and a packing list (梱包明細):
+// one workbook with a sheet for each, built here, and one PDF of both,
+// rendered in the browser from /shipments/:shipmentId and uploaded. Both are
+// kept in BUCKET_SHIPPING_DOCS_ID and linked on the shipment through
+// excel_file_id / pdf_file_id.
+
+const SHIPPING_SENDER = '㈱平田商店';
+
+function shippingDocumentNumber(shipment) {
+  const day = new Date(shipment.shipped_at).toISOString().substring(0, 10).replace(/-/g, '');
+  const first = Math.min(...shipment.filenames.map(fileNumberOf));
+  return `DN-${day}-${first}`;
+}
+
+// Everything both documents print, from the shipment and its parts
+async function buildShippingDocument(shipment) {
+  const order = await databases.getDocument(DATABASE_ID, COLLECTION_ORDERS, shipment.order_id);
+  const docs = [];
+  await inBatches(shipment.item_ids, async id => {
+    docs.push(await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, id));
+  });
+  docs.sort((a, b) => fileNumberOf(a.filename) - fileNumberOf(b.filename));
+  const spec = await getPartSpec(docs.length > 0 ? docs[0].spec_id : null);
+
+  const items = docs.map(doc => ({
+    inspectionId: doc.$id,
+    fileNum: fileNumberOf(doc.filename),
+    lot: doc.lot != null ? String(doc.lot) : '',
+    weight: doc.weight != null && doc.weight !== '' ? parseFloat(doc.weight) : null
+  }));
+
+  const lots = [];
+  items.forEach(item => {
+    let lot = lots.find(l => l.lot === item.lot);
+    if (!lot) lots.push(lot = { lot: item.lot, fileNums: [], weight: 0 });
+    lot.fileNums.push(item.fileNum);
+    if (item.weight !== null) lot.weight += item.weight;
+  });
+
+  const round1 = v => Math.round(v * 10) / 10;
+  return {
+    number: shippingDocumentNumber(shipment),
+    shipment,
+    order: {
+      quantity: parseInt(order.quantity) || 0,
+      dueDate: order.due_date,
+      shipped: parseInt(order.shipped_quantity) || 0,
+      remaining: orderRemaining(order)
+    },
+    product: { name: spec.product_name, drawingNumber: spec.drawing_number, specNumber: spec.spec_number },
+    items,
+    lots: lots.map(l => ({ ...l, weight: round1(l.weight) })),
+    totalWeight: round1(items.reduce((sum, item) => sum + (item.weight || 0), 0)),
+    missingWeights: items.filter(item => item.weight === null).length,
+    report: {
+      title: `${spec.product_name}全数検査成績書 (${spec.spec_number})`,
+      path: `/summary?selectedFiles=${items.map(item => item.inspectionId).join(',')}`
+    }
+  };
+}
+
+function buildShippingWorkbook(data) {
+  const shippedAt = new Date(data.shipment.shipped_at).toLocaleDateString('ja-JP');
+  const deliveryNote = XLSX.utils.aoa_to_sheet([
+    ['納品書'],
+    ['納品書番号', data.number],
+    ['出荷日', shippedAt],
+    ['発行元', SHIPPING_SENDER],
+    ['品名', data.product.name],
+    ['図番', data.product.drawingNumber],
+    ['注文数量', data.order.quantity],
+    ['納期', data.order.dueDate ? new Date(data.order.dueDate).toLocaleDateString('ja-JP') : ''],
+    ['今回出荷数量', data.items.length],
+    ['出荷済 / 残', `${data.order.shipped} / ${data.order.remaining}`],
+    ['検査成績書', data.report.title],
+    [],
+    ['ロット', '数量', '製品番号', '重量計 (g)'],
+    ...data.lots.map(l => [l.lot, l.fileNums.length, l.fileNums.join(', '), l.weight]),
+    ['合計', data.items.length, '', data.totalWeight]
+  ]);
+  deliveryNote['!cols'] = [{ wch: 14 }, { wch: 28 }, { wch: 40 }, { wch: 12 }];
+
+  const packingList = XLSX.utils.json_to_sheet(data.items.map((item, i) => ({
+    'No': i + 1,
+    '製品番号': item.fileNum,
+    'ロット': item.lot,
+    '重量 (g)': item.weight !== null ? item.weight : '',
+    '検査記録ID': item.inspectionId
+  })));
+  XLSX.utils.sheet_add_aoa(packingList, [['合計', data.items.length, '', data.totalWeight, '']], { origin: -1 });
+  packingList['!cols'] = [{ wch: 6 }, { wch: 12 }, { wch: 8 }, { wch: 12 }, { wch: 24 }];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, deliveryNote, '納品書');
+  XLSX.utils.book_append_sheet(workbook, packingList, '梱包明細');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Uploads a document and removes the one it replaces; returns the file id
+async function storeShippingFile(buffer, filename, previousFileId) {
+  const inputFile = (InputFile && InputFile.fromBuffer) ? InputFile.fromBuffer(buffer, filename) : buffer;
+  const storageFile = await appwriteStorage.createFile(BUCKET_SHIPPING_DOCS_ID, ID.unique(), inputFile);
+  if (previousFileId) {
+    try {
+      await appwriteStorage.deleteFile(BUCKET_SHIPPING_DOCS_ID, previousFileId);
+    } catch (err) {
+      console.error("Error removing replaced shipping document:", err.message);
+    }
+  }
+  return storageFile.$id;
+}
+
+// Builds and stores the workbook of a shipment; returns the updated shipment
+async function storeShippingExcel(shipment) {
+  const data = await buildShippingDocument(shipment);
+  const fileId = await storeShippingFile(buildShippingWorkbook(data), `${data.number}.xlsx`, shipment.excel_file_id);
+  return databases.updateDocument(DATABASE_ID, COLLECTION_SHIPMENTS, shipment.$id, {
+    document_number: data.number,
+    excel_file_id: fileId
+  });
+}
+
+function requireShippingDocs(res) {
+  if (!BUCKET_SHIPPING_DOCS_ID) {
+    res.status(400).json({ success: false, error: 'APPWRITE_BUCKET_SHIPPING_DOCS_ID is not configured' });
+    return false;
+  }
+  return true;
+}
+
+// Printable delivery note and packing list; the PDF is saved from here
+app.get("/shipments/:shipmentId", requireAuth, async (req, res) => {
+  try {
+    const shipment = await databases.getDocument(DATABASE_ID, COLLECTION_SHIPMENTS, req.params.shipmentId);
+    res.render("shipping-documents", {
+      doc: await buildShippingDocument(shipment),
+      sender: SHIPPING_SENDER,
+      storageEnabled: Boolean(BUCKET_SHIPPING_DOCS_ID),
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username)
+    });
+  } catch (error) {
+    console.error("Error loading shipping documents:", error);
+    res.status(404).send("Shipment not found");
+  }
+});
+
+// The stored workbook; built and stored first when the shipment has none
+app.get("/api/shipments/:shipmentId/excel", requireAuth, async (req, res) => {
+  try {
+    if (!requireShippingDocs(res)) return;
+    let shipment = await databases.getDocument(DATABASE_ID, COLLECTION_SHIPMENTS, req.params.shipmentId);
+    if (!shipment.excel_file_id) shipment = await storeShippingExcel(shipment);
+    const fileBytes = await appwriteStorage.getFileDownload(BUCKET_SHIPPING_DOCS_ID, shipment.excel_file_id);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${shipment.document_number}.xlsx"`);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(Buffer.from(fileBytes));
+  } catch (error) {
+    console.error("Error downloading shipping workbook:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stores the PDF rendered on /shipments/:shipmentId. Body: { fileData } (base64)
+app.post("/api/shipments/:shipmentId/pdf", requireAuth, async (req, res) => {
+  try {
+    if (!requireShippingDocs(res)) return;
+    if (!req.body.fileData) {
+      return res.status(400).json({ success: false, error: 'fileData is required' });
+    }
+    const shipment = await databases.getDocument(DATABASE_ID, COLLECTION_SHIPMENTS, req.params.shipmentId);
+    const number = shipment.document_number || shippingDocumentNumber(shipment);
+    const fileId = await storeShippingFile(Buffer.from(req.body.fileData, 'base64'), `${number}.pdf`, shipment.pdf_file_id);
+    const updated = await databases.updateDocument(DATABASE_ID, COLLECTION_SHIPMENTS, shipment.$id, {
+      document_number: number,
+      pdf_file_id: fileId
+    });
+    res.json({ success: true, shipment: updated });
+  } catch (error) {
+    console.error("Error storing shipping PDF:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/api/shipments/:shipmentId/pdf", requireAuth, async (req, res) => {
+  try {
+    if (!requireShippingDocs(res)) return;
+    const shipment = await databases.getDocument(DATABASE_ID, COLLECTION_SHIPMENTS, req.params.shipmentId);
+    if (!shipment.pdf_file_id) {
+      return res.status(404).json({ success: false, error: 'No PDF has been saved for this shipment' });
+    }
+    const fileBytes = await appwriteStorage.getFileDownload(BUCKET_SHIPPING_DOCS_ID, shipment.pdf_file_id);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${shipment.document_number}.pdf"`);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(Buffer.from(fileBytes));
+  } catch (error) {
+    console.error("Error downloading shipping PDF:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ======================
+// AVAILABLE-TO-PROMISE (ATP)
+// ======================
+// Projects stock day by day. Parts on hand (not held or NCR-held) are supply
+// today; the placeholders of a scheduled import are supply on its
+// scheduled_date plus ATP_INSPECTION_DAYS. Each active order takes its
+// remaining quantity on its due date, and overdue orders are due today.
+// Orders are covered in due-date order, as allocateOrders fills them.
+
+const ATP_INSPECTION_DAYS = envNumber('ATP_INSPECTION_DAYS') || 0;
+
+// YYYY-MM-DD in the plant's local time (CMM_UTC_OFFSET)
+function localDay(date) {
+  return formatCmmLocalTime(new Date(date).toISOString()).substring(0, 10);
+}
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+}
+
+// { today, onHand, undated, timeline, orders, firstShortDate }. timeline has
+// one row per day with arrivals or due orders; balance is the projected stock
+// at the end of that day. A scheduled import brings only its outstanding
+// placeholders (none left: nothing incoming); placeholders of imports that
+// are not scheduled have no arrival date and are only counted in undated.
+function buildAtpProjection(orders, imports, inspections, today) {
+  const scheduled = new Map(imports.filter(imp => imp.status === 'scheduled').map(imp => [imp.$id, imp]));
+  const placeholders = new Map();
+  let onHand = 0;
+  let undated = 0;
+  inspections.forEach(doc => {
+    const placeholder = doc.status === 'upcoming_import'
+      || (doc.status === 'hold' && doc.hold_previous_status === 'upcoming_import');
+    if (placeholder && scheduled.has(doc.import_id)) {
+      const entry = placeholders.get(doc.import_id) || { available: 0 };
+      if (doc.status !== 'hold' && !isHeldByNcr(doc)) entry.available++;
+      placeholders.set(doc.import_id, entry);
+      return;
+    }
+    if (doc.status === 'shipped' || doc.status === 'hold' || isHeldByNcr(doc)) return;
+    if (doc.status === 'upcoming_import') undated++;
+    else onHand++;
+  });
+
+  const days = new Map();
+  const dayRow = date => {
+    if (!days.has(date)) days.set(date, { date, arrivals: [], due: [], supplyIn: 0, demandOut: 0, balance: 0 });
+    return days.get(date);
+  };
+  dayRow(today).supplyIn += onHand;
+
+  scheduled.forEach(imp => {
+    const quantity = placeholders.has(imp.$id) ? placeholders.get(imp.$id).available : 0;
+    if (quantity === 0) return;
+    const arrival = addDays(localDay(imp.scheduled_date), ATP_INSPECTION_DAYS);
+    const row = dayRow(arrival < today ? today : arrival);
+    row.arrivals.push({ importId: imp.$id, scheduledDate: imp.scheduled_date, quantity });
+    row.supplyIn += quantity;
+  });
+
+  const activeOrders = sortOrdersByDue(orders.filter(isOrderActive)).filter(order => orderRemaining(order) > 0);
+  activeOrders.forEach(order => {
+    const due = localDay(order.due_date);
+    const row = dayRow(due < today ? today : due);
+    row.due.push({ orderId: order.$id, dueDate: order.due_date, quantity: orderRemaining(order) });
+    row.demandOut += orderRemaining(order);
+  });
+
+  const timeline = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  let supply = 0;
+  let demand = 0;
+  timeline.forEach(row => {
+    supply += row.supplyIn;
+    demand += row.demandOut;
+    Object.assign(row, { supply, demand, balance: supply - demand });
+  });
+
+  // Each order is short when the supply by its due day cannot cover it and
+  // every order due before it; coveredOn is the first day it can
+  const supplyBy = date => timeline.filter(row => row.date <= date).reduce((sum, row) => sum + row.supplyIn, 0);
+  let cumulative = 0;
+  const orderRows = activeOrders.map(order => {
+    const remaining = orderRemaining(order);
+    cumulative += remaining;
+    const due = localDay(order.due_date);
+    const day = due < today ? today : due;
+    const shortBy = Math.min(remaining, Math.max(0, cumulative - supplyBy(day)));
+    const covering = timeline.find(row => row.date >= day && row.supply >= cumulative);
+    return {
+      orderId: order.$id,
+      dueDate: order.due_date,
+      remaining,
+      shortBy,
+      shortDate: shortBy > 0 ? day : null,
+      coveredOn: covering ? covering.date : null
+    };
+  });
+
+  const firstShort = timeline.find(row => row.balance < 0);
+  return {
+    today,
+    inspectionDays: ATP_INSPECTION_DAYS,
+    onHand,
+    undated,
+    timeline,
+    orders: orderRows,
+    firstShortDate: firstShort ? firstShort.date : null
+  };
+}
+
+// Can `quantity` more be promised for `date`? A new order on that day lowers
+// the balance of every later day, so what can be promised is the lowest
+// balance from that day on. earliestDate is the first day it could be met.
+function promiseAtp(projection, quantity, date) {
+  const day = date < projection.today ? projection.today : date;
+  const availableFrom = from => {
+    // The timeline always has a row for today, so `before` is never empty
+    const before = projection.timeline.filter(row => row.date <= from);
+    const balances = projection.timeline.filter(row => row.date > from).map(row => row.balance);
+    return Math.max(0, Math.min(before[before.length - 1].balance, ...balances));
+  };
+  const available = availableFrom(day);
+  const earliest = [projection.today, ...projection.timeline.map(row => row.date)]
+    .find(candidate => availableFrom(candidate) >= quantity);
+
+  return {
+    quantity,
+    date: day,
+    available,
+    canPromise: available >= quantity,
+    shortfall: Math.max(0, quantity - available),
+    earliestDate: earliest || null
+  };
+}
+
+async function loadAtpProjection() {
+  return buildAtpProjection(
+    await loadOpenOrders(),
+    await loadScheduledImports(),
+    await loadActiveInspections(),
+    localDay(new Date())
+  );
+}
+
+app.get("/api/atp", requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await loadAtpProjection()) });
+  } catch (error) {
+    console.error("Error projecting ATP:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ?quantity=N&date=YYYY-MM-DD
+app.get("/api/atp/promise", requireAuth, async (req, res) => {
+  try {
+    const quantity = parseInt(req.query.quantity);
+    const date = String(req.query.date || '');
+    if (!(quantity > 0)) {
+      return res.status(400).json({ success: false, error: 'quantity must be a positive integer' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date))) {
+      return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+    }
+    res.json({ success: true, ...promiseAtp(await loadAtpProjection(), quantity, date) });
+  } catch (error) {
+    console.error("Error checking ATP promise:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ======================
 // IMPORT MANAGEMENT API
 // ======================
@@ -1132,21 +2718,15 @@ async function getLastFileNumber() {
     // Must not rely on uploaded_at ordering or a capped limit — either can miss records
     // and cause duplicate filename assignments on the next import.
     let max = 0;
-    let lastId = null;
-    while (true) {
-      const pageQueries = [Query.orderAsc('$id'), Query.limit(100)];
-      if (lastId) pageQueries.push(Query.cursorAfter(lastId));
-      const page = await databases.listDocuments(DATABASE_ID, COLLECTION_INSPECTIONS, pageQueries);
-      page.documents.forEach(doc => {
+    await forEachPage(COLLECTION_INSPECTIONS, [], documents => {
+      documents.forEach(doc => {
         const match = doc.filename && doc.filename.match(/^(\d+)/);
         if (match) {
           const num = parseInt(match[1]);
           if (num > max) max = num;
         }
       });
-      if (page.documents.length < 100) break;
-      lastId = page.documents[page.documents.length - 1].$id;
-    }
+    });
     return max;
   } catch (e) {
     console.error('Error getting last file number:', e);
@@ -1154,20 +2734,25 @@ async function getLastFileNumber() {
   }
 }
 
-async function updateInspectionStatusByImport(importId, newStatus) {
+// Moves the import's parts to newStatus. Parts that are already further
+// along (e.g. measured before the arrival was recorded) keep their status.
+async function updateInspectionStatusByImport(importId, newStatus, actor) {
   try {
     let updatedCount = 0;
-    let lastId = null;
-    while (true) {
-      const pageQueries = [Query.equal('import_id', importId), Query.limit(100)];
-      if (lastId) pageQueries.push(Query.cursorAfter(lastId));
-      const page = await databases.listDocuments(DATABASE_ID, COLLECTION_INSPECTIONS, pageQueries);
-      for (const doc of page.documents) {
-        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, { status: newStatus });
-        updatedCount++;
+    const docs = await listAllDocuments(COLLECTION_INSPECTIONS, [Query.equal('import_id', importId)]);
+    for (const doc of docs) {
+      // A held part stays held; it returns to the new status on release
+      if (doc.status === 'hold') {
+        if (doc.hold_previous_status === 'upcoming_import') {
+          await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, { hold_previous_status: newStatus });
+          updatedCount++;
+        }
+        continue;
       }
-      if (page.documents.length < 100) break;
-      lastId = page.documents[page.documents.length - 1].$id;
+      if ((await transitionBlockers(doc, newStatus)).length > 0) continue;
+      await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, { status: newStatus });
+      await recordStatusChange(doc, newStatus, actor);
+      updatedCount++;
     }
     return updatedCount;
   } catch (e) {
@@ -1207,32 +2792,26 @@ app.post("/api/imports", requireAuth, async (req, res) => {
       const filename = `${fileNumber}.txt`;
 
       try {
-        await databases.createDocument(
+        const placeholder = await databases.createDocument(
           DATABASE_ID,
           COLLECTION_INSPECTIONS,
           ID.unique(),
           {
             filename: filename,
+            file_number: fileNumber,
             uploaded_at: new Date().toISOString(),
             weight: null,
-            lot: lotNumber,
+            lot: normalizeLot(lotNumber),
             is_archived: false,
             status: 'upcoming_import',
             import_id: importDoc.$id,
-            measurementA: '-', measurementB: '-', measurementC: '-',
-            measurementD: '-', measurementE: '-', measurementF: '-',
-            measurementG1: '-', measurementG2: '-', measurementG3: '-',
-            measurementG4: '-', measurementH: '-', measurementI: '-',
-            measurementJ: '-', measurementK: '-', measurementL: '-',
-            isValidA: null, isValidB: null, isValidC: null,
-            isValidD: null, isValidE: null, isValidF: null,
-            isValidG1: null, isValidG2: null, isValidG3: null,
-            isValidG4: null, isValidH: null, isValidI: null,
-            isValidJ: null, isValidK: null, isValidL: null,
+            // value<KEY> / isValid<KEY> default to null (not measured)
+            measurement_schema: MEASUREMENT_SCHEMA_VERSION,
             inspectionStatus: 'pending',
             failedMeasurements: ''
           }
         );
+        await recordStatusChange({ ...placeholder, status: null }, 'upcoming_import', statusActor(req));
         createdFiles.push(filename);
       } catch (err) {
         console.error(`Failed to create placeholder ${filename}:`, err.message);
@@ -1278,7 +2857,7 @@ app.put("/api/imports/:importId", requireAuth, async (req, res) => {
 
     let updatedCount = 0;
     if (status === 'arrived') {
-      updatedCount = await updateInspectionStatusByImport(importId, 'imported');
+      updatedCount = await updateInspectionStatusByImport(importId, 'imported', statusActor(req));
     }
 
     res.json({ success: true, import: importDoc, updatedInspections: updatedCount });
@@ -1296,23 +2875,17 @@ app.delete("/api/imports/:importId", requireAuth, async (req, res) => {
     // If we only delete the import document, the orphaned inspection records
     // stay in the DB — and getLastFileNumber() will see them, causing the next
     // import to skip those numbers or assign duplicates.
+    // The list is read in full first so deletions cannot move the cursor.
     let deletedInspections = 0;
-    let lastId = null;
-    while (true) {
-      const pageQueries = [Query.equal('import_id', importId), Query.limit(100)];
-      if (lastId) pageQueries.push(Query.cursorAfter(lastId));
-      const page = await databases.listDocuments(DATABASE_ID, COLLECTION_INSPECTIONS, pageQueries);
-      for (const doc of page.documents) {
-        // Only delete true placeholders (no measurement data, no weight).
-        // If the user already uploaded TXT data to this record, preserve it.
-        const isPlaceholder = (!doc.measurementA || doc.measurementA === '-') && doc.weight === null;
-        if (isPlaceholder) {
-          await databases.deleteDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id);
-          deletedInspections++;
-        }
+    const docs = await listAllDocuments(COLLECTION_INSPECTIONS, [Query.equal('import_id', importId)]);
+    for (const doc of docs) {
+      // Only delete true placeholders (no measurement data, no weight).
+      // If the user already uploaded TXT data to this record, preserve it.
+      const isPlaceholder = !hasMeasurementData(doc) && doc.weight === null;
+      if (isPlaceholder) {
+        await databases.deleteDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id);
+        deletedInspections++;
       }
-      if (page.documents.length < 100) break;
-      lastId = page.documents[page.documents.length - 1].$id;
     }
 
     await databases.deleteDocument(DATABASE_ID, COLLECTION_IMPORTS, importId);
@@ -1335,6 +2908,22 @@ app.put("/api/inspections/:inspectionId/status", requireAuth, async (req, res) =
     if (!status || !STATUS_CONFIG[status]) {
       return res.status(400).json({ success: false, error: 'Invalid status' });
     }
+    if (status === 'hold') {
+      return res.status(400).json({ success: false, error: 'Use /api/inspections/:inspectionId/hold to hold a part' });
+    }
+    if (status === 'shipped') {
+      return res.status(400).json({ success: false, error: 'Parts are shipped through /api/orders/:orderId/ship' });
+    }
+
+    const current = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, inspectionId);
+    if (current.status === 'hold') {
+      return res.status(409).json({ success: false, error: 'The part is on hold; release it first' });
+    }
+
+    const blockers = await transitionBlockers(current, status);
+    if (blockers.length > 0) {
+      return res.status(409).json({ success: false, error: blockers.join('; '), blockers });
+    }
 
     const inspection = await databases.updateDocument(
       DATABASE_ID,
@@ -1342,6 +2931,7 @@ app.put("/api/inspections/:inspectionId/status", requireAuth, async (req, res) =
       inspectionId,
       { status: status }
     );
+    await recordStatusChange(current, status, statusActor(req), (req.body.note || '').trim());
 
     res.json({ success: true, inspection: inspection });
   } catch (error) {
@@ -1350,649 +2940,3212 @@ app.put("/api/inspections/:inspectionId/status", requireAuth, async (req, res) =
   }
 });
 
-app.put("/api/inspections/advance-status", requireAuth, async (req, res) => {
+app.get("/api/inspections/:inspectionId/status-history", requireAuth, async (req, res) => {
   try {
-    const { fromStatus, toStatus } = req.body;
+    res.json({ success: true, history: await listStatusHistory(req.params.inspectionId) });
+  } catch (error) {
+    console.error("Error loading status history:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!fromStatus || !toStatus || !STATUS_CONFIG[fromStatus] || !STATUS_CONFIG[toStatus]) {
-      return res.status(400).json({ success: false, error: 'Invalid status values' });
+// ======================
+// BULK STATUS ADVANCE
+// ======================
+// Moves the records of one status in a scope (lot, import, file-number range
+// or explicit IDs) forward to another status. Requests are dry runs unless
+// dryRun: false is sent. Every applied advance is saved as a batch in
+// COLLECTION_STATUS_BATCHES and can be rolled back while its records are
+// still in the status it set.
+
+const BULK_STATUS_MAX_FILES = 1000;
+
+// Inspections in fromStatus matching every given scope filter
+async function findInspectionsInScope(fromStatus, { lot, importId, from, to, ids }) {
+  const base = [Query.equal('status', fromStatus)];
+  if (lot) base.push(Query.equal('lot', normalizeLot(lot)));
+  if (importId) base.push(Query.equal('import_id', String(importId)));
+
+  // Query.equal accepts at most 100 values
+  const chunks = [];
+  if (Array.isArray(ids) && ids.length > 0) {
+    if (ids.length > BULK_STATUS_MAX_FILES) throw new Error(`At most ${BULK_STATUS_MAX_FILES} IDs`);
+    for (let n = 0; n < ids.length; n += 100) chunks.push([Query.equal('$id', ids.slice(n, n + 100).map(String))]);
+  } else if (from !== undefined && from !== '' || to !== undefined && to !== '') {
+    const start = parseInt(from);
+    const end = parseInt(to);
+    if (isNaN(start) || isNaN(end) || start > end) throw new Error('Specify a valid from/to file-number range');
+    if (end - start + 1 > BULK_STATUS_MAX_FILES) throw new Error(`Range is limited to ${BULK_STATUS_MAX_FILES} files`);
+    for (let n = start; n <= end; n += 100) {
+      const filenames = [];
+      for (let k = n; k <= Math.min(n + 99, end); k++) filenames.push(`${k}.txt`);
+      chunks.push([Query.equal('filename', filenames)]);
     }
+  } else if (!lot && !importId) {
+    throw new Error('Specify a scope: lot, importId, a from/to file-number range or ids');
+  } else {
+    chunks.push([]);
+  }
 
-    let updated = 0;
-    let lastId = null;
-    while (true) {
-      const pageQueries = [Query.equal('status', fromStatus), Query.limit(100)];
-      if (lastId) pageQueries.push(Query.cursorAfter(lastId));
-      const page = await databases.listDocuments(DATABASE_ID, COLLECTION_INSPECTIONS, pageQueries);
-      for (const doc of page.documents) {
+  const docs = [];
+  for (const chunk of chunks) {
+    docs.push(...await listAllDocuments(COLLECTION_INSPECTIONS, [...base, ...chunk]));
+  }
+
+  if (docs.length > BULK_STATUS_MAX_FILES) {
+    throw new Error(`Scope matches ${docs.length} files; the limit is ${BULK_STATUS_MAX_FILES}`);
+  }
+  return docs.sort((a, b) => fileNumberOf(a.filename) - fileNumberOf(b.filename));
+}
+
+// A batch still 'applying' after this long was cut off (error, function
+// timeout) and is treated as 'partial'
+const STATUS_BATCH_STALE_MS = 15 * 60 * 1000;
+
+function parseStatusBatch(batch) {
+  let scope = {};
+  let changes = [];
+  try {
+    scope = JSON.parse(batch.scope || '{}');
+    changes = JSON.parse(batch.changes || '[]');
+  } catch (e) {
+    changes = [];
+  }
+  const stale = batch.status === 'applying' && Date.now() - new Date(batch.created_at) > STATUS_BATCH_STALE_MS;
+  return { ...batch, scope, changes, status: stale ? 'partial' : batch.status };
+}
+
+// Body: { fromStatus, toStatus, scope: { lot, importId, from, to, ids }, dryRun }
+app.put("/api/inspections/advance-status", requireAuth, async (req, res) => {
+  try {
+    const { fromStatus, toStatus } = req.body;
+    const scope = req.body.scope || {};
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+
+    if (!fromStatus || !toStatus || !STATUS_CONFIG[fromStatus] || !STATUS_CONFIG[toStatus]) {
+      return res.status(400).json({ success: false, error: 'Invalid status values' });
+    }
+    if (fromStatus === 'hold' || toStatus === 'hold') {
+      return res.status(400).json({ success: false, error: 'Held parts are held and released one at a time' });
+    }
+    if (toStatus === 'shipped') {
+      return res.status(400).json({ success: false, error: 'Parts are shipped through /api/orders/:orderId/ship' });
+    }
+    if (!STATUS_TRANSITIONS[fromStatus].includes(toStatus) || STATUS_CONFIG[toStatus].order <= STATUS_CONFIG[fromStatus].order) {
+      return res.status(400).json({ success: false, error: `${fromStatus} → ${toStatus} is not a forward status change` });
+    }
+    if (!dryRun && !COLLECTION_STATUS_BATCHES) {
+      return res.status(400).json({ success: false, error: 'APPWRITE_COLLECTION_STATUS_BATCHES_ID is not configured' });
+    }
+
+    let docs;
+    try {
+      docs = await findInspectionsInScope(fromStatus, scope);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const eligible = [];
+    const blockedFiles = [];
+    await inBatches(docs, async doc => {
+      const blockers = await transitionBlockers(doc, toStatus);
+      if (blockers.length > 0) blockedFiles.push({ fileId: doc.$id, filename: doc.filename, reasons: blockers });
+      else eligible.push(doc);
+    });
+    eligible.sort((a, b) => fileNumberOf(a.filename) - fileNumberOf(b.filename));
+    blockedFiles.sort((a, b) => fileNumberOf(a.filename) - fileNumberOf(b.filename));
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun,
+        matched: docs.length,
+        eligible: eligible.map(doc => ({ fileId: doc.$id, filename: doc.filename, lot: doc.lot || null })),
+        blocked: blockedFiles.length,
+        blockedFiles
+      });
+    }
+
+    // The batch lists the planned changes before any is applied, so a run that
+    // stops partway (error, function timeout) can still be rolled back once it
+    // is 'partial'; the rollback skips records that never reached toStatus
+    const actor = statusActor(req);
+    const batch = await databases.createDocument(DATABASE_ID, COLLECTION_STATUS_BATCHES, ID.unique(), {
+      from_status: fromStatus,
+      to_status: toStatus,
+      scope: JSON.stringify(scope),
+      changes: JSON.stringify(eligible.map(doc => ({ fileId: doc.$id, filename: doc.filename }))),
+      status: 'applying',
+      created_by: actor.user,
+      created_at: new Date().toISOString()
+    });
+
+    const changes = [];
+    const failed = [];
+    await inBatches(eligible, async doc => {
+      try {
         await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, { status: toStatus });
-        updated++;
+        await recordStatusChange(doc, toStatus, actor, `Batch ${batch.$id}`);
+        changes.push({ fileId: doc.$id, filename: doc.filename });
+      } catch (err) {
+        failed.push({ fileId: doc.$id, filename: doc.filename, error: err.message });
       }
-      if (page.documents.length < 100) break;
-      lastId = page.documents[page.documents.length - 1].$id;
-    }
+    });
+
+    changes.sort((a, b) => fileNumberOf(a.filename) - fileNumberOf(b.filename));
+    await databases.updateDocument(DATABASE_ID, COLLECTION_STATUS_BATCHES, batch.$id, {
+      changes: JSON.stringify(changes),
+      status: failed.length === 0 ? 'applied' : 'partial'
+    });
 
-    res.json({ success: true, updated: updated });
+    res.json({
+      success: failed.length === 0,
+      dryRun,
+      batchId: batch.$id,
+      updated: changes.length,
+      blocked: blockedFiles.length,
+      blockedFiles,
+      failed
+    });
   } catch (error) {
     console.error("Error advancing status:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Most recent first
+app.get("/api/status-batches", requireAuth, async (req, res) => {
+  try {
+    if (!COLLECTION_STATUS_BATCHES) return res.json({ success: true, batches: [] });
+    const result = await databases.listDocuments(DATABASE_ID, COLLECTION_STATUS_BATCHES, [
+      Query.orderDesc('created_at'),
+      Query.limit(Math.min(parseInt(req.query.limit) || 20, 100))
+    ]);
+    res.json({ success: true, batches: result.documents.map(parseStatusBatch) });
+  } catch (error) {
+    console.error("Error listing status batches:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Statuses of a batch that can be rolled back: a 'partial' batch stopped
+// partway and may have changed some of its records. An 'applying' batch is
+// still running and is left alone until it finishes or goes stale.
+const ROLLBACK_BATCH_STATUSES = ['applied', 'partial'];
+
+// Returns the batch's records to its from_status. Records that have moved on
+// since (shipped, held, demoted...) or were never changed are left alone and
+// reported as skipped. Backward moves are not in STATUS_TRANSITIONS, so the
+// rollback is an explicit exception to them, noted as such in the status
+// history.
+app.post("/api/status-batches/:batchId/rollback", requireWeightEditAuth, async (req, res) => {
+  try {
+    if (!COLLECTION_STATUS_BATCHES) {
+      return res.status(400).json({ success: false, error: 'APPWRITE_COLLECTION_STATUS_BATCHES_ID is not configured' });
+    }
+    const batch = parseStatusBatch(await databases.getDocument(DATABASE_ID, COLLECTION_STATUS_BATCHES, req.params.batchId));
+    if (!ROLLBACK_BATCH_STATUSES.includes(batch.status)) {
+      return res.status(409).json({ success: false, error: `The batch is ${batch.status}` });
+    }
+
+    const actor = statusActor(req);
+    let reverted = 0;
+    const skipped = [];
+    await inBatches(batch.changes, async change => {
+      try {
+        const doc = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, change.fileId);
+        if (doc.status !== batch.to_status) {
+          skipped.push({ filename: change.filename, reason: `Now ${doc.status}` });
+          return;
+        }
+        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, { status: batch.from_status });
+        await recordStatusChange(doc, batch.from_status, actor,
+          `Rollback of batch ${batch.$id} (exception to the status transition rules)`);
+        reverted++;
+      } catch (err) {
+        skipped.push({ filename: change.filename, reason: err.message });
+      }
+    });
+
+    await databases.updateDocument(DATABASE_ID, COLLECTION_STATUS_BATCHES, batch.$id, {
+      status: 'rolled_back',
+      rolled_back_by: actor.user,
+      rolled_back_at: new Date().toISOString()
+    });
+
+    res.json({ success: true, reverted, skipped });
+  } catch (error) {
+    console.error("Error rolling back status batch:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ======================
+// HOLD / RELEASE
+// ======================
+// Parks a suspicious part in the 'hold' status with a reason. The status it
+// came from is kept in hold_previous_status and restored on release.
+
+app.post("/api/inspections/:inspectionId/hold", requireAuth, async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, error: 'A hold reason is required' });
+    }
+
+    const doc = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, req.params.inspectionId);
+    const status = doc.status || 'finished_inspection';
+    if (!HOLDABLE_STATUSES.includes(status)) {
+      return res.status(409).json({ success: false, error: `A part in status ${status} cannot be put on hold` });
+    }
+
+    const inspection = await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, {
+      status: 'hold',
+      hold_previous_status: status,
+      hold_reason: reason,
+      hold_by: getDisplayName(req.session.username),
+      hold_at: new Date().toISOString()
+    });
+    await recordStatusChange(doc, 'hold', statusActor(req), reason);
+
+    res.json({ success: true, inspection });
+  } catch (error) {
+    console.error("Error holding inspection:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Returns the part to the status it was held from. A part held from
+// finished_inspection that can no longer finish (e.g. an NCR opened while it
+// was held) goes back to inspection instead.
+app.post("/api/inspections/:inspectionId/release", requireAuth, async (req, res) => {
+  try {
+    const doc = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, req.params.inspectionId);
+    if (doc.status !== 'hold') {
+      return res.status(409).json({ success: false, error: 'The part is not on hold' });
+    }
+
+    let status = HOLDABLE_STATUSES.includes(doc.hold_previous_status) ? doc.hold_previous_status : 'inspection';
+    if (status === 'finished_inspection' && (await finishBlockers(doc)).length > 0) status = 'inspection';
+
+    const inspection = await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, {
+      status,
+      hold_previous_status: null,
+      hold_reason: null,
+      hold_by: null,
+      hold_at: null
+    });
+    await recordStatusChange(doc, status, statusActor(req));
+
+    res.json({ success: true, inspection });
+  } catch (error) {
+    console.error("Error releasing hold:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sign off the conditional (guard-band) measurements of one record. The
+// signer is the logged-in user; a note is required so the decision is
+// traceable. The sign-off may move the record to finished_inspection.
+app.post("/api/inspections/:inspectionId/conditional-signoff", requireWeightEditAuth, async (req, res) => {
+  try {
+    const note = (req.body.note || '').trim();
+    if (!note) {
+      return res.status(400).json({ success: false, error: 'A sign-off note is required' });
+    }
+
+    const doc = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, req.params.inspectionId);
+    if (doc.inspectionStatus !== 'conditional') {
+      return res.status(400).json({ success: false, error: 'This record has no conditional measurements' });
+    }
+
+    const update = {
+      conditional_signoff_by: getDisplayName(req.session.username),
+      conditional_signoff_at: new Date().toISOString(),
+      conditional_signoff_note: note
+    };
+    Object.assign(update, await settledStatusFields(doc, update));
+    const inspection = await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, update);
+    if (update.status) await recordStatusChange(doc, update.status, statusActor(req), 'Conditional measurements signed off');
+
+    res.json({ success: true, inspection });
+  } catch (error) {
+    console.error("Error signing off conditional measurements:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Records judgments on one inspection. Body: { results: { M: 'pass', N: 'fail' }, note }.
+// A fail needs a note. Recording may move the record to finished_inspection.
+app.post("/api/inspections/:inspectionId/judgments", requireWeightEditAuth, async (req, res) => {
+  try {
+    const results = req.body.results || {};
+    const note = (req.body.note || '').trim();
+    const keys = Object.keys(results);
+    if (keys.length === 0) {
+      return res.status(400).json({ success: false, error: 'No judgments given' });
+    }
+    if (keys.some(key => !JUDGMENT_RESULTS[results[key]])) {
+      return res.status(400).json({ success: false, error: `A result must be one of: ${Object.keys(JUDGMENT_RESULTS).join(', ')}` });
+    }
+    if (keys.some(key => results[key] === 'fail') && !note) {
+      return res.status(400).json({ success: false, error: 'A failed judgment needs a note' });
+    }
+
+    const doc = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, req.params.inspectionId);
+    const judgmentKeys = getJudgmentItems(await getPartSpec(doc.spec_id)).map(item => item.key);
+    const unknown = keys.filter(key => !judgmentKeys.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `Not judgment items of this spec: ${unknown.join(', ')}` });
+    }
+
+    const judgments = parseJudgments(doc);
+    const by = getDisplayName(req.session.username);
+    const at = new Date().toISOString();
+    keys.forEach(key => { judgments[key] = { result: results[key], by, at, note: note || null }; });
+
+    const update = { judgments: JSON.stringify(judgments) };
+    Object.assign(update, await settledStatusFields(doc, update));
+    const inspection = await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, update);
+    if (update.status) await recordStatusChange(doc, update.status, statusActor(req), 'Judgments recorded');
+
+    res.json({ success: true, inspection, judgments });
+  } catch (error) {
+    console.error("Error recording judgments:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Records a pass for every unrecorded judgment in keys on each of ids, as
+// from the summary report. Existing judgments are never overwritten.
+app.post("/api/judgments/bulk", requireWeightEditAuth, async (req, res) => {
+  try {
+    const { ids, keys } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0 || !Array.isArray(keys) || keys.length === 0) {
+      return res.status(400).json({ success: false, error: 'ids and keys are required' });
+    }
+
+    const actor = statusActor(req);
+    const at = new Date().toISOString();
+    let recorded = 0;
+    const skipped = [];
+    await inBatches(ids, async id => {
+      try {
+        const doc = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, id);
+        const judgmentKeys = getJudgmentItems(await getPartSpec(doc.spec_id)).map(item => item.key);
+        const judgments = parseJudgments(doc);
+        const toRecord = keys.filter(key => judgmentKeys.includes(key) && !judgments[key]);
+        if (toRecord.length === 0) return;
+
+        toRecord.forEach(key => { judgments[key] = { result: 'pass', by: actor.user, at, note: null }; });
+        const update = { judgments: JSON.stringify(judgments) };
+        Object.assign(update, await settledStatusFields(doc, update));
+        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, update);
+        if (update.status) await recordStatusChange(doc, update.status, actor, 'Judgments recorded');
+        recorded += toRecord.length;
+      } catch (err) {
+        skipped.push({ fileId: id, error: err.message });
+      }
+    });
+
+    res.json({ success: skipped.length === 0, recorded, skipped });
+  } catch (error) {
+    console.error("Error recording judgments:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ======================
 // FILE UPLOAD (TXT)
 // ======================
 
+// How /upload treats a file whose parse produced error diagnostics:
+//   reject     - nothing is saved, the file is reported as failed
+//   accept     - saved as usual, diagnostics reported as warnings
+//   quarantine - saved with parse_status 'quarantined' and never promoted
+const PARSE_POLICIES = ['reject', 'accept', 'quarantine'];
+const DEFAULT_PARSE_POLICY = PARSE_POLICIES.includes(process.env.UPLOAD_PARSE_POLICY)
+  ? process.env.UPLOAD_PARSE_POLICY
+  : 'accept';
+const MAX_STORED_DIAGNOSTICS = 100;
+
+// Diagnostics are stored on the inspection as a JSON string; long raw lines
+// and very noisy files are cut down to stay inside the attribute size.
+function serializeDiagnostics(diagnostics) {
+  return JSON.stringify(diagnostics.slice(0, MAX_STORED_DIAGNOSTICS).map(d => ({
+    ...d,
+    raw: d.raw && d.raw.length > 200 ? d.raw.substring(0, 200) + '…' : d.raw
+  })));
+}
+
+function parseStoredDiagnostics(doc) {
+  if (!doc || !doc.parse_diagnostics) return [];
+  try {
+    return JSON.parse(doc.parse_diagnostics);
+  } catch (e) {
+    return [];
+  }
+}
+
 app.post("/upload", requireAuth, upload.array("files"), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ success: false, error: "No file uploaded" });
     }
 
+    const spec = await getCurrentPartSpec(req.body.product);
+    if (!spec) {
+      return res.status(400).json({ success: false, error: `Unknown product: ${req.body.product}` });
+    }
+
+    const policy = req.body.policy || DEFAULT_PARSE_POLICY;
+    if (!PARSE_POLICIES.includes(policy)) {
+      return res.status(400).json({ success: false, error: `Unknown parse policy: ${policy}` });
+    }
+
+    const encoding = req.body.encoding || 'auto';
+    if (!CmmParser.ENCODINGS.includes(encoding)) {
+      return res.status(400).json({ success: false, error: `Unknown encoding: ${encoding}` });
+    }
+
+    // Required to supersede measured data with a new revision
+    const reason = (req.body.revisionReason || '').trim();
+
     const allResults = { successful: [], failed: [], updated: [] };
 
     for (const file of req.files) {
       try {
-        await processSingleUpload(file, req, allResults);
+        await processSingleUpload(file, req, allResults, spec, { policy, encoding, reason });
       } catch (err) {
         allResults.failed.push({ filename: file.originalname, error: err.message });
       }
     }
 
     if (allResults.successful.length === 0 && allResults.updated.length === 0) {
-      return res.status(400).json({ success: false, error: allResults.failed.map(f => f.error).join(', ') });
+      return res.status(400).json({
+        success: false,
+        error: allResults.failed.map(f => f.error).join(', '),
+        results: allResults
+      });
     }
 
-    return res.json({ success: true, results: allResults });
+    return res.json({ success: true, policy, results: allResults });
   } catch (error) {
     console.error("Upload error:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-async function processSingleUpload(file, req, results) {
-  const fileContent = file.buffer.toString("utf-8");
+// options.policy: see PARSE_POLICIES. options.encoding: 'auto' or a forced
+// CmmParser encoding; the encoding actually used is stored on the inspection.
+// options.reason: why measured data is superseded (see MEASUREMENT REVISIONS).
+async function processSingleUpload(file, req, results, spec, options = {}) {
+  const policy = options.policy || DEFAULT_PARSE_POLICY;
+  const { text: fileContent, encoding } = CmmParser.decodeCmmBytes(file.buffer, options.encoding);
   const parsedData = parseTxtFile(fileContent);
   const filename = file.originalname;
 
+  const diagnostics = [...parsedData.diagnostics, ...findMissingFeatures(parsedData, spec)];
+  const hasErrors = diagnostics.some(d => d.severity === 'error');
+
+  if (hasErrors && policy === 'reject') {
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+    results.failed.push({
+      filename,
+      error: `${filename}: ${errorCount} parse error(s)`,
+      diagnostics
+    });
+    return;
+  }
+
+  const quarantined = hasErrors && policy === 'quarantine';
+  const parseStatus = quarantined ? 'quarantined' : (diagnostics.length > 0 ? 'warnings' : 'ok');
+
   const existingFiles = await databases.listDocuments(
     DATABASE_ID,
     COLLECTION_INSPECTIONS,
     [Query.equal('filename', filename), Query.limit(1)]
   );
 
-  const measurements = {};
-  const validations = {};
+  const { measurements, validations, verdictFields } = evaluateMeasurements(parsedData, spec);
+  const specFields = {
+    spec_id: spec.$id,
+    spec_version: spec.version,
+    product_code: spec.product_code
+  };
+  const parseFields = {
+    parse_status: parseStatus,
+    parse_diagnostics: serializeDiagnostics(diagnostics),
+    source_encoding: encoding,
+    ...buildHeaderFields(parsedData)
+  };
 
-  const dbKeys = Object.keys(measurementMapping).filter(k => k !== 'M' && k !== 'N');
-  dbKeys.forEach(key => {
-    const value = extractMeasurementValue(parsedData, key);
-    measurements[`measurement${key}`] = value !== null ? String(value) : '-';
-    validations[`isValid${key}`] = isValidMeasurement(value, key);
-  });
+  const uploadedBy = getDisplayName(req.session.username);
+  const revisionUpload = {
+    filename,
+    measurement_values: JSON.stringify({ ...measurements, ...validations }),
+    inspectionStatus: verdictFields.inspectionStatus,
+    spec_id: spec.$id,
+    spec_version: spec.version,
+    parse_status: parseStatus,
+    source_encoding: encoding,
+    measured_at: parseFields.measured_at || null,
+    uploaded_by: uploadedBy,
+    uploaded_at: new Date().toISOString(),
+    reason: options.reason || null
+  };
 
   if (existingFiles.documents.length > 0) {
     const existingDoc = existingFiles.documents[0];
-    const isPlaceholder = !existingDoc.measurementA || existingDoc.measurementA === '-';
-
-    if (isPlaceholder) {
-      // PATCH: previously this always forced status to 'inspection', which
-      // silently demoted records that already had a weight recorded (e.g. the
-      // part was weighed before the TXT/dimensional data was uploaded, which
-      // had already correctly promoted it to 'finished_inspection'). Now we
-      // check for an existing weight and preserve/promote to
-      // 'finished_inspection' instead of overwriting it.
-      const hasWeight = existingDoc.weight !== null && existingDoc.weight !== undefined;
-      const newStatus = hasWeight ? 'finished_inspection' : 'inspection';
-
-      await databases.updateDocument(
-        DATABASE_ID,
-        COLLECTION_INSPECTIONS,
-        existingDoc.$id,
-        {
-          uploaded_at: new Date().toISOString(),
-          is_archived: false,
-          status: newStatus,
-          ...measurements,
-          ...validations
-        }
-      );
-      results.updated.push({ filename });
+    // A placeholder or a quarantined upload is simply replaced; measured data
+    // is superseded by a new revision, which needs a reason
+    const superseding = hasMeasurementData(existingDoc) && existingDoc.parse_status !== 'quarantined';
+
+    if (superseding && !COLLECTION_REVISIONS) {
+      results.failed.push({ filename, error: `${filename} already has measurement data`, diagnostics });
       return;
-    } else {
-      results.failed.push({ filename, error: `${filename} already has measurement data` });
+    }
+    if (superseding && !options.reason) {
+      results.failed.push({
+        filename,
+        error: `${filename} already has measurement data; a reason is required to store a new revision`,
+        needsReason: true,
+        diagnostics
+      });
       return;
     }
+
+    // Earlier raw TXT files stay in storage while their revisions refer to them
+    const rawFields = await storeRawTxt(file, COLLECTION_REVISIONS ? null : existingDoc.raw_file_id);
+    const revisionFields = await recordRevision(existingDoc, { ...revisionUpload, ...rawFields });
+
+    // PATCH: previously this always forced status to 'inspection', which
+    // silently demoted records that already had a weight recorded (e.g. the
+    // part was weighed before the TXT/dimensional data was uploaded, which
+    // had already correctly promoted it to 'finished_inspection'). Now we
+    // check for an existing weight and preserve/promote to
+    // 'finished_inspection' instead of overwriting it.
+    // Quarantined data never promotes; the record keeps its current status,
+    // as do held and shipped parts. Data that cannot finish (no weight,
+    // missing measurements, conditional without sign-off, held by an NCR or
+    // failing and about to be) waits in 'inspection'.
+    const keepStatus = quarantined || existingDoc.status === 'hold' || existingDoc.status === 'shipped';
+    const nextDoc = { ...existingDoc, ...specFields, ...parseFields, ...measurements, ...verdictFields };
+    const canFinish = !keepStatus && !opensNcr(nextDoc) && (await finishBlockers(nextDoc)).length === 0;
+    const newStatus = keepStatus ? (existingDoc.status || 'inspection') : (canFinish ? 'finished_inspection' : 'inspection');
+
+    const updatedDoc = await databases.updateDocument(
+      DATABASE_ID,
+      COLLECTION_INSPECTIONS,
+      existingDoc.$id,
+      {
+        uploaded_at: new Date().toISOString(),
+        is_archived: false,
+        status: newStatus,
+        ...specFields,
+        ...parseFields,
+        ...rawFields,
+        ...revisionFields,
+        ...measurements,
+        ...validations,
+        ...verdictFields
+      }
+    );
+    await recordStatusChange(existingDoc, newStatus, statusActor(req), superseding ? options.reason : null);
+    const alerts = await raiseDriftAlerts(updatedDoc, spec);
+    const ncr = quarantined ? null : await openNcrForUpload(updatedDoc, uploadedBy, diagnostics);
+    results.updated.push({
+      filename, parseStatus, encoding, verdict: verdictFields.inspectionStatus, alerts: alerts.length,
+      ncr: ncr ? ncr.ncr_number : null, revision: revisionFields.measurement_revision || null, superseded: superseding,
+      diagnostics
+    });
+    return;
   }
 
-  await databases.createDocument(
+  const rawFields = await storeRawTxt(file);
+
+  const createdDoc = await databases.createDocument(
     DATABASE_ID,
     COLLECTION_INSPECTIONS,
     ID.unique(),
     {
       filename: filename,
-      lot: parsedData.lot || null,
+      file_number: fileNumberOf(filename),
+      lot: normalizeLot(parsedData.lot),
       weight: null,
       uploaded_at: new Date().toISOString(),
       is_archived: false,
       status: 'inspection',
+      ...specFields,
+      ...parseFields,
+      ...rawFields,
+      ...(COLLECTION_REVISIONS ? { measurement_revision: 1, revision_reason: null } : {}),
       ...measurements,
-      ...validations
+      ...validations,
+      ...verdictFields
     }
   );
+  if (COLLECTION_REVISIONS) {
+    await createRevision(createdDoc.$id, { ...revisionUpload, ...rawFields, revision: 1 });
+  }
+  await recordStatusChange({ ...createdDoc, status: null }, createdDoc.status, statusActor(req));
 
-  results.successful.push({ filename });
+  const alerts = await raiseDriftAlerts(createdDoc, spec);
+  const ncr = quarantined ? null : await openNcrForUpload(createdDoc, uploadedBy, diagnostics);
+  results.successful.push({
+    filename, parseStatus, encoding, verdict: verdictFields.inspectionStatus, alerts: alerts.length,
+    ncr: ncr ? ncr.ncr_number : null, diagnostics
+  });
 }
 
 // ======================
-// FILE DATA RETRIEVAL
+// MEASUREMENT REVISIONS
 // ======================
+// Every upload that stores measurements on an inspection is also kept as a
+// numbered revision in COLLECTION_REVISIONS. The inspection itself always
+// carries the latest revision (measurement_revision), and that is what the
+// verdicts, reports and allocation use. Superseding measured data needs a
+// reason. A record measured before revisions existed gets its current data
+// saved as revision 1 the first time it is superseded.
+
+// valueX / isValidX of the measured checkpoints, as stored on the inspection
+function revisionValues(doc, spec) {
+  const values = {};
+  getMeasuredCheckpoints(spec).forEach(checkpoint => {
+    values[`value${checkpoint.key}`] = readMeasurement(doc, checkpoint.key);
+    values[`isValid${checkpoint.key}`] = readValidity(doc, checkpoint.key);
+  });
+  return values;
+}
 
-app.get("/files/:fileId", requireAuth, async (req, res) => {
-  try {
-    const inspection = await databases.getDocument(
-      DATABASE_ID,
-      COLLECTION_INSPECTIONS,
-      req.params.fileId
-    );
+async function createRevision(inspectionId, fields) {
+  return databases.createDocument(DATABASE_ID, COLLECTION_REVISIONS, ID.unique(), {
+    inspection_id: inspectionId,
+    ...fields
+  });
+}
 
-    const measurements = {
-      A: { value: inspection.measurementA, isValid: inspection.isValidA },
-      B: { value: inspection.measurementB, isValid: inspection.isValidB },
-      C: { value: inspection.measurementC, isValid: inspection.isValidC },
-      D: { value: inspection.measurementD, isValid: inspection.isValidD },
-      E: { value: inspection.measurementE, isValid: inspection.isValidE },
-      F: { value: inspection.measurementF, isValid: inspection.isValidF },
-      G1: { value: inspection.measurementG1, isValid: inspection.isValidG1 },
-      G2: { value: inspection.measurementG2, isValid: inspection.isValidG2 },
-      G3: { value: inspection.measurementG3, isValid: inspection.isValidG3 },
-      G4: { value: inspection.measurementG4, isValid: inspection.isValidG4 },
-      H: { value: inspection.measurementH, isValid: inspection.isValidH },
-      I: { value: inspection.measurementI, isValid: inspection.isValidI },
-      J: { value: inspection.measurementJ, isValid: inspection.isValidJ },
-      K: { value: inspection.measurementK, isValid: inspection.isValidK },
-      L: { value: inspection.measurementL, isValid: inspection.isValidL }
-    };
+// Saves the upload as the next revision of an existing inspection. Returns
+// the fields to store on the inspection, or {} when revisions are off.
+async function recordRevision(existingDoc, upload) {
+  if (!COLLECTION_REVISIONS) return {};
+
+  let revision = 1;
+  if (existingDoc.measurement_revision) {
+    revision = existingDoc.measurement_revision + 1;
+  } else if (hasMeasurementData(existingDoc)) {
+    const previousSpec = await getPartSpec(existingDoc.spec_id);
+    await createRevision(existingDoc.$id, {
+      filename: existingDoc.filename,
+      revision: 1,
+      measurement_values: JSON.stringify(revisionValues(existingDoc, previousSpec)),
+      inspectionStatus: existingDoc.inspectionStatus || null,
+      spec_id: existingDoc.spec_id || null,
+      spec_version: existingDoc.spec_version || null,
+      parse_status: existingDoc.parse_status || null,
+      raw_file_id: existingDoc.raw_file_id || null,
+      source_encoding: existingDoc.source_encoding || null,
+      measured_at: existingDoc.measured_at || null,
+      uploaded_by: null,
+      uploaded_at: existingDoc.uploaded_at || existingDoc.$createdAt,
+      reason: null
+    });
+    revision = 2;
+  }
+  await createRevision(existingDoc.$id, { ...upload, revision });
+
+  return { measurement_revision: revision, revision_reason: upload.reason };
+}
 
-    const gValue = processGValues(measurements);
+// Revisions of one inspection, oldest first
+async function listRevisions(inspectionId) {
+  return listAllDocuments(COLLECTION_REVISIONS, [Query.equal('inspection_id', inspectionId), Query.orderAsc('revision')]);
+}
 
-    res.render("fileData", {
-      file: inspection,
-      measurements: measurements,
-      gValue: gValue,
-      validationRanges: validationRanges,
-      username: req.session.username,
-      displayName: getDisplayName(req.session.username),
-      canEditWeights: req.session.canEditWeights
+// Revision history with measurements rebuilt for the detail page. The latest
+// revision shows the inspection's own values, which a re-evaluation may have
+// updated since the upload.
+async function buildRevisionHistory(doc, spec, measurements) {
+  const revisions = await listRevisions(doc.$id);
+  const specs = {};
+  const history = [];
+  for (const revision of revisions) {
+    const isLatest = revision.revision === doc.measurement_revision;
+    let revisionMeasurements = measurements;
+    if (!isLatest) {
+      if (!specs[revision.spec_id]) specs[revision.spec_id] = await getPartSpec(revision.spec_id);
+      let values = {};
+      try {
+        values = JSON.parse(revision.measurement_values || '{}');
+      } catch (e) {
+        values = {};
+      }
+      revisionMeasurements = buildMeasurementsFromDoc({ measurement_schema: 2, ...values }, specs[revision.spec_id]);
+    }
+    history.push({
+      ...revision,
+      isLatest,
+      measurements: revisionMeasurements,
+      verdict: isLatest ? doc.inspectionStatus : revision.inspectionStatus
     });
-  } catch (error) {
-    console.error("Error fetching file data:", error);
-    res.status(404).send("File not found");
   }
-});
+  return history;
+}
 
 // ======================
-// UPDATE WEIGHT
+// DRIFT ALERTS
 // ======================
+// Every stored upload is compared with the recent history of its product for
+// each reported checkpoint and group (the parts with the file numbers just
+// before it). Findings are stored in COLLECTION_ALERTS and stay open until a
+// user acknowledges them; while one is open for a product/checkpoint/rule the
+// rule does not raise another. Quarantined uploads are not evaluated.
+
+// Parts of the same product before the upload that form its history
+const DRIFT_HISTORY_SIZE = 60;
+
+const DRIFT_RULES = {
+  trend: { length: 6, label: '連続増加/減少' },
+  mean_shift: { window: 10, baseline: 30, minBaseline: 10, fraction: 0.25, label: '平均値シフト' },
+  tolerance_usage: { limit: 80, label: '公差使用率' }
+};
 
-app.post("/update-weight", requireWeightEditAuth, async (req, res) => {
-  try {
-    const { fileId, weight } = req.body;
+// series: values in production order, the new upload last.
+// Returns [{ rule, message }].
+function evaluateDriftRules(series, item) {
+  const findings = [];
+  const value = series[series.length - 1];
 
-    if (!fileId) {
-      return res.status(400).json({ success: false, error: 'File ID is required' });
+  const { length } = DRIFT_RULES.trend;
+  if (series.length >= length && SPC_TESTS.sixTrend.test(series.slice(-length))) {
+    const direction = series[series.length - 1] > series[series.length - length] ? '増加' : '減少';
+    findings.push({ rule: 'trend', message: `${item.key}: ${length}個連続で${direction}しています` });
+  }
+
+  const shift = DRIFT_RULES.mean_shift;
+  if (hasLimits(item) && series.length >= shift.window + shift.minBaseline) {
+    const recent = series.slice(-shift.window);
+    const baseline = series.slice(0, -shift.window).slice(-shift.baseline);
+    const delta = mean(recent) - mean(baseline);
+    const allowed = shift.fraction * (item.upper - item.lower) / 2;
+    if (Math.abs(delta) > allowed) {
+      findings.push({
+        rule: 'mean_shift',
+        message: `${item.key}: 直近${shift.window}個の平均が${delta > 0 ? '+' : ''}${delta.toFixed(4)} 変化 (公差の${shift.fraction * 100}%超)`
+      });
     }
+  }
 
-    const weightStr = weight !== null && weight !== undefined ? String(weight).trim() : '';
-    const weightValue = weightStr !== '' ? parseFloat(weightStr) : null;
+  const { usage } = toleranceUsage(value, item);
+  const usageLimit = DRIFT_RULES.tolerance_usage.limit;
+  if (hasLimits(item) && (usage === null || usage >= usageLimit)) {
+    findings.push({
+      rule: 'tolerance_usage',
+      message: `${item.key}: ${value.toFixed(3)} が公差の${usage !== null ? usage.toFixed(0) : '∞'}% を使用 (${usageLimit}%以上)`
+    });
+  }
 
-    if (weightValue !== null && (isNaN(weightValue) || weightValue < 0)) {
-      return res.status(400).json({ success: false, error: 'Weight must be a positive number or empty' });
-    }
+  return findings;
+}
 
-    const formattedWeight = weightValue !== null ? parseFloat(weightValue.toFixed(1)) : null;
+async function listOpenAlerts(productCode) {
+  const queries = [Query.equal('status', 'open'), Query.orderDesc('created_at'), Query.limit(100)];
+  if (productCode) queries.push(Query.equal('product_code', productCode));
+  const page = await databases.listDocuments(DATABASE_ID, COLLECTION_ALERTS, queries);
+  return page.documents;
+}
 
-    const currentDoc = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId);
-    const updateData = { weight: formattedWeight };
-    const promotableStatuses = ['upcoming_import', 'imported', 'inspection'];
-    if (weightValue !== null && promotableStatuses.includes(currentDoc.status)) {
-      updateData.status = 'finished_inspection';
-    }
+// Open alerts for the banners on / and /stock-management; never fails the page
+async function loadAlertBanner() {
+  if (!COLLECTION_ALERTS) return [];
+  try {
+    return await listOpenAlerts(null);
+  } catch (error) {
+    console.error("Error loading alerts:", error);
+    return [];
+  }
+}
 
-    await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId, updateData);
+// The DRIFT_HISTORY_SIZE parts of doc's product with the file numbers just
+// before it, in file-number (production) order. Edits do not reorder it.
+// Records without measurements (e.g. quarantined) are dropped from the window.
+async function loadDriftHistory(doc, spec) {
+  const result = await databases.listDocuments(DATABASE_ID, COLLECTION_INSPECTIONS, [
+    productQuery(spec.product_code),
+    Query.lessThan('file_number', fileNumberOf(doc.filename)),
+    Query.notEqual('status', 'upcoming_import'),
+    Query.orderDesc('file_number'),
+    Query.limit(DRIFT_HISTORY_SIZE)
+  ]);
+  return result.documents
+    .filter(d => d.parse_status !== 'quarantined' && hasMeasurementData(d))
+    .reverse();
+}
+
+// Returns the alerts created for one stored inspection. Errors are logged and
+// swallowed: an alert problem must not fail the upload.
+async function raiseDriftAlerts(doc, spec) {
+  if (!COLLECTION_ALERTS || doc.parse_status === 'quarantined') return [];
+  try {
+    const history = (await loadDriftHistory(doc, spec)).map(d => buildMeasurementsFromDoc(d, spec));
+    const current = buildMeasurementsFromDoc(doc, spec);
+    const open = await listOpenAlerts(spec.product_code);
+    const raised = [];
+
+    for (const item of getReportedItems(spec)) {
+      const value = current[item.key].value;
+      if (value === null) continue;
+      const series = [...history.map(m => m[item.key].value).filter(v => v !== null), value];
+
+      for (const finding of evaluateDriftRules(series, item)) {
+        if (open.some(a => a.checkpoint === item.key && a.rule === finding.rule)) continue;
+        const alert = await databases.createDocument(DATABASE_ID, COLLECTION_ALERTS, ID.unique(), {
+          rule: finding.rule,
+          product_code: spec.product_code,
+          checkpoint: item.key,
+          inspection_id: doc.$id,
+          filename: doc.filename,
+          lot: doc.lot ? String(doc.lot) : null,
+          value,
+          message: finding.message,
+          status: 'open',
+          created_at: new Date().toISOString(),
+          acknowledged_by: null,
+          acknowledged_at: null,
+          acknowledge_note: null
+        });
+        open.push(alert);
+        raised.push(alert);
+      }
+    }
+    return raised;
+  } catch (error) {
+    console.error(`Error evaluating drift alerts for ${doc.filename}:`, error);
+    return [];
+  }
+}
 
-    res.json({ success: true, weight: formattedWeight });
+app.get("/api/alerts", requireAuth, async (req, res) => {
+  try {
+    if (!COLLECTION_ALERTS) return res.json({ success: true, alerts: [] });
+    const status = req.query.status || 'open';
+    const queries = [Query.orderDesc('created_at'), Query.limit(100)];
+    if (status !== 'all') queries.push(Query.equal('status', status));
+    if (req.query.product) queries.push(Query.equal('product_code', req.query.product));
+    const page = await databases.listDocuments(DATABASE_ID, COLLECTION_ALERTS, queries);
+    res.json({ success: true, alerts: page.documents });
   } catch (error) {
-    console.error("Error updating weight:", error);
+    console.error("Error listing alerts:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/update-weights", requireWeightEditAuth, async (req, res) => {
+// Records who acknowledged the alert (the logged-in user) and an optional note
+app.post("/api/alerts/:alertId/acknowledge", requireAuth, async (req, res) => {
   try {
-    const { weights } = req.body;
-
-    if (!weights || !Array.isArray(weights) || weights.length === 0) {
-      return res.status(400).json({ success: false, error: 'Weights array is required' });
+    if (!COLLECTION_ALERTS) {
+      return res.status(400).json({ success: false, error: 'Alerts are not configured' });
+    }
+    const alert = await databases.getDocument(DATABASE_ID, COLLECTION_ALERTS, req.params.alertId);
+    if (alert.status !== 'open') {
+      return res.status(409).json({ success: false, error: `Already acknowledged by ${alert.acknowledged_by}` });
     }
 
-    const results = [];
-    const errors = [];
-
+    const updated = await databases.updateDocument(DATABASE_ID, COLLECTION_ALERTS, alert.$id, {
+      status: 'acknowledged',
+      acknowledged_by: getDisplayName(req.session.username),
+      acknowledged_at: new Date().toISOString(),
+      acknowledge_note: (req.body.note || '').trim() || null
+    });
+    res.json({ success: true, alert: updated });
+  } catch (error) {
+    console.error("Error acknowledging alert:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ======================
+// NONCONFORMANCE (NCR)
+// ======================
+// A stored upload whose verdict is 'fail' opens an NCR in COLLECTION_NCRS with
+// the failed checkpoints. The inspection carries ncr_id / ncr_status /
+// ncr_disposition so the allocation and status code can hold it without
+// another lookup. Workflow: open → dispositioned → closed.
+//   rework             - held until the NCR is closed after re-inspection
+//   scrap              - never allocated again
+//   use_as_is          - released once dispositioned; needs a concession number
+//   return_to_supplier - never allocated again
+
+const NCR_DISPOSITIONS = {
+  rework: '手直し',
+  scrap: '廃却',
+  use_as_is: '特採 (そのまま使用)',
+  return_to_supplier: '返品'
+};
+const NCR_STATUSES = { open: '未処置', dispositioned: '処置決定', closed: '完了' };
+
+// Whether an inspection is kept out of allocation and finished_inspection.
+// ncr_status 'open' with no ncr_id is the hold openNcr() sets before writing
+// the NCR; it stays if that write fails.
+function isHeldByNcr(doc) {
+  if (doc.ncr_status === 'open') return true;
+  if (!doc.ncr_id) return false;
+  if (doc.ncr_disposition === 'scrap' || doc.ncr_disposition === 'return_to_supplier') return true;
+  return doc.ncr_disposition === 'rework' && doc.ncr_status !== 'closed';
+}
+
+function ncrNumber(doc, date) {
+  const day = date.toISOString().substring(0, 10).replace(/-/g, '');
+  return `NCR-${day}-${String(doc.filename || doc.$id).replace(/\.txt$/i, '')}`;
+}
+
+// Whether openNcr() opens an NCR for doc: a failed inspection with no NCR
+// still open or dispositioned
+function opensNcr(doc) {
+  if (!COLLECTION_NCRS || doc.inspectionStatus !== 'fail') return false;
+  return !(doc.ncr_id && doc.ncr_status !== 'closed');
+}
+
+// Opens an NCR for a failed inspection (see opensNcr). Returns the NCR, or
+// null when nothing was opened. The inspection is held before the NCR is
+// written, so a failed part is never allocatable without one; errors are
+// thrown, and the next upload or re-evaluation retries.
+async function openNcr(doc, detectedBy) {
+  if (!opensNcr(doc)) return null;
+  await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, {
+    ncr_id: null,
+    ncr_status: 'open',
+    ncr_disposition: null
+  });
+
+  const spec = await getPartSpec(doc.spec_id);
+  const measurements = buildMeasurementsFromDoc(doc, spec);
+  const failed = getReportedItems(spec)
+    .filter(item => measurements[item.key].verdict === 'fail')
+    .map(item => ({ key: item.key, value: measurements[item.key].value, lower: item.lower, upper: item.upper }));
+  const now = new Date();
+
+  const ncr = await databases.createDocument(DATABASE_ID, COLLECTION_NCRS, ID.unique(), {
+    ncr_number: ncrNumber(doc, now),
+    inspection_id: doc.$id,
+    filename: doc.filename,
+    lot: normalizeLot(doc.lot),
+    product_code: spec.product_code,
+    spec_version: spec.version,
+    failed_checkpoints: JSON.stringify(failed),
+    detected_by: detectedBy,
+    detected_at: now.toISOString(),
+    status: 'open',
+    disposition: null,
+    disposition_by: null,
+    disposition_at: null,
+    disposition_note: null,
+    concession_number: null,
+    closed_by: null,
+    closed_at: null
+  });
+  await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, { ncr_id: ncr.$id });
+  return ncr;
+}
+
+// openNcr() for a stored upload: a failure is reported in the file's
+// diagnostics rather than failing an upload that is already saved
+async function openNcrForUpload(doc, detectedBy, diagnostics) {
+  try {
+    return await openNcr(doc, detectedBy);
+  } catch (error) {
+    console.error(`Error opening NCR for ${doc.filename}:`, error);
+    diagnostics.push({
+      line: null,
+      raw: '',
+      code: 'ncr_failed',
+      reason: `The NCR could not be opened (${error.message}); re-evaluate the file to retry`,
+      severity: 'error'
+    });
+    return null;
+  }
+}
+
+function parseNcr(ncr) {
+  let failed = [];
+  try {
+    failed = JSON.parse(ncr.failed_checkpoints || '[]');
+  } catch (e) {
+    failed = [];
+  }
+  return { ...ncr, failed_checkpoints: failed };
+}
+
+// Every NCR matching { lot, status }, newest first
+async function listNcrs({ lot, status }) {
+  const queries = [Query.orderDesc('detected_at')];
+  if (lot) queries.push(Query.equal('lot', normalizeLot(lot)));
+  if (status) queries.push(Query.equal('status', status));
+  return (await listAllDocuments(COLLECTION_NCRS, queries)).map(parseNcr);
+}
+
+function ncrFilters(query) {
+  return {
+    lot: query.lot || '',
+    status: NCR_STATUSES[query.status] ? query.status : ''
+  };
+}
+
+app.get("/ncrs", requireAuth, async (req, res) => {
+  try {
+    const filters = ncrFilters(req.query);
+    const ncrs = COLLECTION_NCRS ? await listNcrs(filters) : [];
+
+    res.render("ncrs", {
+      ncrs,
+      filters,
+      enabled: !!COLLECTION_NCRS,
+      dispositions: NCR_DISPOSITIONS,
+      statuses: NCR_STATUSES,
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username),
+      canEditWeights: req.session.canEditWeights
+    });
+  } catch (error) {
+    console.error("Error loading NCRs:", error);
+    res.status(500).send("Error loading NCRs");
+  }
+});
+
+app.get("/api/ncrs", requireAuth, async (req, res) => {
+  try {
+    if (!COLLECTION_NCRS) return res.json({ success: true, ncrs: [] });
+    res.json({ success: true, ncrs: await listNcrs(ncrFilters(req.query)) });
+  } catch (error) {
+    console.error("Error listing NCRs:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { disposition, note, concessionNumber }. Only an open NCR can be
+// dispositioned; the decision is copied onto the inspection.
+app.post("/api/ncrs/:ncrId/disposition", requireWeightEditAuth, async (req, res) => {
+  try {
+    const { disposition } = req.body;
+    const note = (req.body.note || '').trim();
+    const concessionNumber = (req.body.concessionNumber || '').trim();
+
+    if (!NCR_DISPOSITIONS[disposition]) {
+      return res.status(400).json({ success: false, error: `Unknown disposition: ${disposition}` });
+    }
+    if (disposition === 'use_as_is' && !concessionNumber) {
+      return res.status(400).json({ success: false, error: 'use_as_is requires a concession number' });
+    }
+
+    const ncr = await databases.getDocument(DATABASE_ID, COLLECTION_NCRS, req.params.ncrId);
+    if (ncr.status !== 'open') {
+      return res.status(409).json({ success: false, error: `NCR is already ${ncr.status}` });
+    }
+
+    const updated = await databases.updateDocument(DATABASE_ID, COLLECTION_NCRS, ncr.$id, {
+      status: 'dispositioned',
+      disposition,
+      disposition_by: getDisplayName(req.session.username),
+      disposition_at: new Date().toISOString(),
+      disposition_note: note || null,
+      concession_number: concessionNumber || null
+    });
+    await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, ncr.inspection_id, {
+      ncr_status: 'dispositioned',
+      ncr_disposition: disposition
+    });
+
+    res.json({ success: true, ncr: parseNcr(updated) });
+  } catch (error) {
+    console.error("Error dispositioning NCR:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Closes a dispositioned NCR (for rework: after the part passed re-inspection)
+app.post("/api/ncrs/:ncrId/close", requireWeightEditAuth, async (req, res) => {
+  try {
+    const ncr = await databases.getDocument(DATABASE_ID, COLLECTION_NCRS, req.params.ncrId);
+    if (ncr.status !== 'dispositioned') {
+      return res.status(409).json({ success: false, error: 'Only a dispositioned NCR can be closed' });
+    }
+
+    const updated = await databases.updateDocument(DATABASE_ID, COLLECTION_NCRS, ncr.$id, {
+      status: 'closed',
+      closed_by: getDisplayName(req.session.username),
+      closed_at: new Date().toISOString()
+    });
+    await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, ncr.inspection_id, { ncr_status: 'closed' });
+
+    res.json({ success: true, ncr: parseNcr(updated) });
+  } catch (error) {
+    console.error("Error closing NCR:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/export-ncrs", requireAuth, async (req, res) => {
+  try {
+    if (!COLLECTION_NCRS) {
+      return res.status(400).json({ success: false, error: 'APPWRITE_COLLECTION_NCRS_ID is not configured' });
+    }
+    const ncrs = await listNcrs(ncrFilters(req.query));
+    if (ncrs.length === 0) {
+      return res.status(400).json({ success: false, error: 'No NCRs to export' });
+    }
+
+    const rows = ncrs.map(ncr => ({
+      ncrNumber: ncr.ncr_number,
+      filename: ncr.filename,
+      lot: ncr.lot || '',
+      product: ncr.product_code,
+      specVersion: ncr.spec_version,
+      failedCheckpoints: ncr.failed_checkpoints
+        .map(f => `${f.key}=${f.value !== null ? f.value : '-'} (${f.lower}–${f.upper})`).join(', '),
+      detectedBy: ncr.detected_by || '',
+      detectedAt: formatCmmLocalTime(ncr.detected_at),
+      status: NCR_STATUSES[ncr.status] || ncr.status,
+      disposition: NCR_DISPOSITIONS[ncr.disposition] || '',
+      concessionNumber: ncr.concession_number || '',
+      dispositionBy: ncr.disposition_by || '',
+      dispositionAt: formatCmmLocalTime(ncr.disposition_at),
+      dispositionNote: ncr.disposition_note || '',
+      closedBy: ncr.closed_by || '',
+      closedAt: formatCmmLocalTime(ncr.closed_at)
+    }));
+
+    const worksheet = XLSX.utils.json_to_sheet(rows);
+    worksheet['!cols'] = [{ wch: 22 }, { wch: 10 }, { wch: 8 }, { wch: 14 }, { wch: 8 }, { wch: 40 }, ...Array(10).fill({ wch: 16 })];
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'NCR');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="ncr_export_${new Date().toISOString().split('T')[0]}.xlsx"`);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(buffer);
+  } catch (error) {
+    console.error("Error exporting NCRs:", error);
+    res.setHeader('Content-Type', 'application/json');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ======================
+// RAW TXT STORAGE & RE-EVALUATION
+// ======================
+// Uploaded TXT files are kept in BUCKET_RAW_TXT_ID and linked through
+// raw_file_id, so inspections can be re-judged when a part specification
+// changes. Re-evaluation always uses the product's current spec.
+
+const REEVALUATE_MAX_FILES = 500;
+
+// Returns the fields to merge into the inspection document; empty when the
+// bucket is not configured. A replaced upload's previous file is removed.
+async function storeRawTxt(file, previousFileId) {
+  if (!BUCKET_RAW_TXT_ID) return {};
+
+  const inputFile = (InputFile && InputFile.fromBuffer) ? InputFile.fromBuffer(file.buffer, file.originalname) : file.buffer;
+  const storageFile = await appwriteStorage.createFile(BUCKET_RAW_TXT_ID, ID.unique(), inputFile);
+
+  if (previousFileId) {
+    try {
+      await appwriteStorage.deleteFile(BUCKET_RAW_TXT_ID, previousFileId);
+    } catch (err) {
+      console.warn(`Could not delete replaced raw TXT ${previousFileId}:`, err.message);
+    }
+  }
+
+  return { raw_file_id: storageFile.$id };
+}
+
+// Decoded with the encoding recorded at upload time
+async function loadRawTxt(doc) {
+  const bytes = await appwriteStorage.getFileDownload(BUCKET_RAW_TXT_ID, doc.raw_file_id);
+  return CmmParser.decodeCmmBytes(new Uint8Array(bytes), doc.source_encoding || 'auto').text;
+}
+
+// Inspections selected by { fileId }, { lot } or { from, to } (file numbers)
+async function findInspectionsForReevaluation({ fileId, lot, from, to }) {
+  if (fileId) {
+    return [await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId)];
+  }
+
+  let selectors;
+  if (lot) {
+    selectors = [[Query.equal('lot', normalizeLot(lot))]];
+  } else {
+    const start = parseInt(from);
+    const end = parseInt(to);
+    if (isNaN(start) || isNaN(end) || start > end) {
+      throw new Error('Specify fileId, lot, or a valid from/to file-number range');
+    }
+    if (end - start + 1 > REEVALUATE_MAX_FILES) {
+      throw new Error(`Range is limited to ${REEVALUATE_MAX_FILES} files`);
+    }
+    // Query.equal accepts at most 100 values
+    selectors = [];
+    for (let n = start; n <= end; n += 100) {
+      const filenames = [];
+      for (let k = n; k <= Math.min(n + 99, end); k++) filenames.push(`${k}.txt`);
+      selectors.push([Query.equal('filename', filenames)]);
+    }
+  }
+
+  const docs = [];
+  for (const selector of selectors) {
+    docs.push(...await listAllDocuments(COLLECTION_INSPECTIONS, selector));
+  }
+
+  if (docs.length > REEVALUATE_MAX_FILES) {
+    throw new Error(`Selection matches ${docs.length} files; the limit is ${REEVALUATE_MAX_FILES}`);
+  }
+  return docs;
+}
+
+// Re-parse one inspection's stored TXT against the current spec. Returns the
+// diff entry and, when something changed, the update to write.
+async function reevaluateInspection(doc) {
+  const entry = { fileId: doc.$id, filename: doc.filename, changes: [] };
+
+  if (!doc.raw_file_id) {
+    return { entry: { ...entry, status: 'skipped', reason: 'No stored TXT file' }, update: null };
+  }
+
+  const spec = await getCurrentPartSpec(doc.product_code || DEFAULT_PRODUCT_CODE);
+  if (!spec) {
+    return { entry: { ...entry, status: 'skipped', reason: `Unknown product: ${doc.product_code}` }, update: null };
+  }
+
+  const previousSpec = await getPartSpec(doc.spec_id);
+  const parsedData = parseTxtFile(await loadRawTxt(doc));
+  const { measurements, validations, verdictFields } = evaluateMeasurements(parsedData, spec);
+
+  const keys = new Set([...getMeasuredCheckpoints(previousSpec), ...getMeasuredCheckpoints(spec)].map(cp => cp.key));
+  keys.forEach(key => {
+    const before = { value: readMeasurement(doc, key), isValid: readValidity(doc, key) };
+    const after = measurements.hasOwnProperty(`value${key}`)
+      ? { value: measurements[`value${key}`], isValid: validations[`isValid${key}`] }
+      : before;
+    if (before.value !== after.value || before.isValid !== after.isValid) {
+      entry.changes.push({ key, before, after });
+    }
+  });
+
+  // Header metadata is refreshed too, which backfills records uploaded
+  // before it was captured
+  const headerFields = buildHeaderFields(parsedData);
+  entry.metadata = Object.keys(headerFields)
+    .filter(field => (doc[field] ?? null) !== headerFields[field])
+    .map(field => ({ field, before: doc[field] ?? null, after: headerFields[field] }));
+
+  entry.specVersion = { before: doc.spec_version || previousSpec.version, after: spec.version };
+  entry.verdict = { before: doc.inspectionStatus || null, after: verdictFields.inspectionStatus };
+  const specChanged = (doc.spec_id || null) !== (spec.$id || null);
+  const changed = entry.changes.length > 0 || entry.metadata.length > 0 || specChanged ||
+    entry.verdict.before !== entry.verdict.after || !isNumericSchema(doc);
+  entry.status = changed ? 'changed' : 'unchanged';
+  if (!changed) return { entry, update: null };
+
+  const diagnostics = [...parsedData.diagnostics, ...findMissingFeatures(parsedData, spec)];
+  const update = {
+    spec_id: spec.$id,
+    spec_version: spec.version,
+    product_code: spec.product_code,
+    parse_diagnostics: serializeDiagnostics(diagnostics),
+    ...headerFields,
+    ...measurements,
+    ...validations,
+    ...verdictFields
+  };
+  // A quarantined record stays quarantined until a corrected file is uploaded
+  if (doc.parse_status !== 'quarantined') {
+    update.parse_status = diagnostics.length > 0 ? 'warnings' : 'ok';
+  }
+  // A sign-off stays valid while the values it approved are unchanged
+  const stillSignedOff = entry.changes.length === 0 && doc.conditional_signoff_by &&
+    verdictFields.inspectionStatus === 'conditional';
+  if (stillSignedOff) {
+    delete update.conditional_signoff_by;
+    delete update.conditional_signoff_at;
+    delete update.conditional_signoff_note;
+  }
+  // A finished record that no longer qualifies goes back to inspection,
+  // including one that now fails and will be held by a new NCR
+  if (doc.status === 'finished_inspection') {
+    const blockers = await finishBlockers({ ...doc, ...update });
+    if (doc.parse_status !== 'quarantined' && opensNcr({ ...doc, ...update })) {
+      blockers.push('Failed measurements open a nonconformance (NCR)');
+    }
+    if (blockers.length > 0) {
+      update.status = 'inspection';
+      entry.statusChange = { before: doc.status, after: 'inspection', reasons: blockers };
+    }
+  }
+  return { entry, update };
+}
+
+// Download the original TXT behind an inspection
+// source: the inspection or one of its revisions (raw_file_id, source_encoding)
+async function sendRawTxt(res, source, filename) {
+  if (!BUCKET_RAW_TXT_ID || !source.raw_file_id) {
+    return res.status(404).send("Original TXT file is not stored for this inspection");
+  }
+
+  const fileBytes = await appwriteStorage.getFileDownload(BUCKET_RAW_TXT_ID, source.raw_file_id);
+  // Served byte-for-byte as uploaded, so label it with the detected encoding
+  const charset = ['shift_jis', 'cp932'].includes(source.source_encoding) ? 'Shift_JIS' : 'utf-8';
+  res.setHeader("Content-Type", `text/plain; charset=${charset}`);
+  res.setHeader("Content-Disposition", `attachment; filename="${encodeURIComponent(filename)}"`);
+  res.setHeader("Cache-Control", "no-cache");
+  res.send(Buffer.from(fileBytes));
+}
+
+app.get("/files/:fileId/raw", requireAuth, async (req, res) => {
+  try {
+    const doc = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, req.params.fileId);
+    await sendRawTxt(res, doc, doc.filename);
+  } catch (error) {
+    console.error("Error downloading raw TXT:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/files/:fileId/revisions/:revision/raw", requireAuth, async (req, res) => {
+  try {
+    if (!COLLECTION_REVISIONS) {
+      return res.status(404).send("Measurement revisions are not stored");
+    }
+    const revisions = await databases.listDocuments(DATABASE_ID, COLLECTION_REVISIONS, [
+      Query.equal('inspection_id', req.params.fileId),
+      Query.equal('revision', parseInt(req.params.revision)),
+      Query.limit(1)
+    ]);
+    if (revisions.documents.length === 0) {
+      return res.status(404).send("Revision not found");
+    }
+    const revision = revisions.documents[0];
+    await sendRawTxt(res, revision, revision.filename.replace(/(\.txt)?$/i, `_rev${revision.revision}$1`));
+  } catch (error) {
+    console.error("Error downloading revision TXT:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { fileId } | { lot } | { from, to }, plus dryRun (default true).
+// Responds with a per-file before/after diff; nothing is written on a dry run.
+app.post("/api/reevaluate", requireWeightEditAuth, async (req, res) => {
+  try {
+    if (!BUCKET_RAW_TXT_ID) {
+      return res.status(400).json({ success: false, error: "APPWRITE_BUCKET_RAW_TXT_ID is not configured" });
+    }
+
+    const { fileId, lot, from, to } = req.body;
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+
+    let docs;
+    try {
+      docs = await findInspectionsForReevaluation({ fileId, lot, from, to });
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const report = [];
+    await inBatches(docs, async doc => {
+      try {
+        const { entry, update } = await reevaluateInspection(doc);
+        // A record held for an NCR that could not be written is retried even
+        // when nothing else changed
+        const ncrPending = doc.ncr_status === 'open' && !doc.ncr_id;
+        if ((update || ncrPending) && !dryRun) {
+          const updated = update
+            ? await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, update)
+            : doc;
+          if (update && update.status) {
+            await recordStatusChange(doc, update.status, statusActor(req), entry.statusChange.reasons.join('; '));
+          }
+          try {
+            const ncr = updated.parse_status === 'quarantined'
+              ? null : await openNcr(updated, getDisplayName(req.session.username));
+            if (ncr) entry.ncr = ncr.ncr_number;
+          } catch (err) {
+            console.error(`Error opening NCR for ${doc.filename}:`, err);
+            entry.ncrError = err.message;
+          }
+        }
+        report.push(entry);
+      } catch (err) {
+        report.push({ fileId: doc.$id, filename: doc.filename, status: 'error', reason: err.message, changes: [] });
+      }
+    });
+
+    report.sort((a, b) => (parseInt(a.filename) || 0) - (parseInt(b.filename) || 0));
+    const count = status => report.filter(r => r.status === status).length;
+
+    res.json({
+      success: true,
+      dryRun,
+      summary: {
+        total: report.length,
+        changed: count('changed'),
+        unchanged: count('unchanged'),
+        skipped: count('skipped'),
+        errors: count('error')
+      },
+      report
+    });
+  } catch (error) {
+    console.error("Re-evaluation error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ======================
+// FILE DATA RETRIEVAL
+// ======================
+
+app.get("/files/:fileId", requireAuth, async (req, res) => {
+  try {
+    const inspection = await databases.getDocument(
+      DATABASE_ID,
+      COLLECTION_INSPECTIONS,
+      req.params.fileId
+    );
+
+    const spec = await getPartSpec(inspection.spec_id);
+    const measurements = buildMeasurementsFromDoc(inspection, spec);
+    const ncr = COLLECTION_NCRS && inspection.ncr_id
+      ? parseNcr(await databases.getDocument(DATABASE_ID, COLLECTION_NCRS, inspection.ncr_id))
+      : null;
+    const revisions = COLLECTION_REVISIONS ? await buildRevisionHistory(inspection, spec, measurements) : [];
+    const statusHistory = await listStatusHistory(inspection.$id);
+
+    res.render("fileData", {
+      file: inspection,
+      measurements: measurements,
+      verdict: overallVerdict(measurements, spec),
+      ncr,
+      revisions,
+      statusHistory,
+      statusConfig: STATUS_CONFIG,
+      judgmentItems: getJudgmentItems(spec),
+      judgments: parseJudgments(inspection),
+      judgmentLabels: JUDGMENT_RESULTS,
+      ncrDispositions: NCR_DISPOSITIONS,
+      ncrStatuses: NCR_STATUSES,
+      spec: spec,
+      diagnostics: parseStoredDiagnostics(inspection),
+      hasRawFile: Boolean(BUCKET_RAW_TXT_ID && inspection.raw_file_id),
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username),
+      canEditWeights: req.session.canEditWeights
+    });
+  } catch (error) {
+    console.error("Error fetching file data:", error);
+    res.status(404).send("File not found");
+  }
+});
+
+// ======================
+// WEIGHT STATISTICS & OUTLIERS
+// ======================
+// A new weight is compared with the expected range (when configured) and with
+// the other weighed parts of the same lot. An outlier is still saved, but it is
+// flagged (weight_outlier) and is not promoted to finished_inspection until
+// someone confirms it (weight_confirmed_by).
+
+function envNumber(name) {
+  const raw = process.env[name];
+  return raw !== undefined && raw.trim() !== '' && !isNaN(parseFloat(raw)) ? parseFloat(raw) : null;
+}
+
+const WEIGHT_RULES = {
+  min: envNumber('WEIGHT_EXPECTED_MIN'),
+  max: envNumber('WEIGHT_EXPECTED_MAX'),
+  zLimit: envNumber('WEIGHT_OUTLIER_Z') || 3,
+  minLotSize: 5 // weighed lot-mates needed before the z-score is used
+};
+
+// { n, mean, sigma, min, max }; sigma is null below two weights
+function weightStats(weights) {
+  if (weights.length === 0) return { n: 0, mean: null, sigma: null, min: null, max: null };
+  return {
+    n: weights.length,
+    mean: mean(weights),
+    sigma: weights.length > 1 ? sampleStdDev(weights) : null,
+    min: Math.min(...weights),
+    max: Math.max(...weights)
+  };
+}
+
+// Reasons the weight looks wrong, checked against the lot-mates (excluding the
+// part itself), or [] when it looks fine
+function weightOutlierReasons(weight, lotMateWeights) {
+  const reasons = [];
+  if (WEIGHT_RULES.min !== null && weight < WEIGHT_RULES.min) {
+    reasons.push(`想定範囲外 (下限 ${WEIGHT_RULES.min} g)`);
+  }
+  if (WEIGHT_RULES.max !== null && weight > WEIGHT_RULES.max) {
+    reasons.push(`想定範囲外 (上限 ${WEIGHT_RULES.max} g)`);
+  }
+  if (lotMateWeights.length >= WEIGHT_RULES.minLotSize) {
+    const stats = weightStats(lotMateWeights);
+    if (stats.sigma > 0) {
+      const z = (weight - stats.mean) / stats.sigma;
+      if (Math.abs(z) > WEIGHT_RULES.zLimit) {
+        reasons.push(`ロット平均 ${stats.mean.toFixed(1)} g から ${z.toFixed(1)}σ`);
+      }
+    }
+  }
+  return reasons;
+}
+
+// Map of inspection $id → weight for the weighed parts of one lot
+async function loadLotWeights(lot) {
+  const weights = new Map();
+  if (!lot) return weights;
+  (await listAllDocuments(COLLECTION_INSPECTIONS, [Query.equal('lot', normalizeLot(lot))])).forEach(d => {
+    if (d.weight !== null && d.weight !== undefined) weights.set(d.$id, d.weight);
+  });
+  return weights;
+}
+
+// Fields to write with a new weight. A new weight always clears an earlier
+// confirmation; lotWeights is the lot's $id → weight map.
+function weightUpdateFields(doc, weight, lotWeights) {
+  let reasons = [];
+  if (weight !== null) {
+    const lotMates = [...lotWeights.entries()].filter(([id]) => id !== doc.$id).map(([, w]) => w);
+    reasons = weightOutlierReasons(weight, lotMates);
+  }
+  return {
+    weight,
+    weight_outlier: reasons.length > 0 ? reasons.join(' / ') : null,
+    weight_confirmed_by: null,
+    weight_confirmed_at: null
+  };
+}
+
+function needsWeightConfirmation(doc) {
+  return Boolean(doc.weight_outlier) && !doc.weight_confirmed_by;
+}
+
+// Per-lot weight statistics over already-loaded inspection docs, by lot
+function lotWeightStats(docs) {
+  const byLot = {};
+  docs.forEach(d => {
+    if (d.weight === null || d.weight === undefined || !d.lot) return;
+    (byLot[d.lot] = byLot[d.lot] || []).push(d.weight);
+  });
+  return Object.keys(byLot).sort().map(lot => ({ lot, ...weightStats(byLot[lot]) }));
+}
+
+// Confirm a flagged weight after checking the part. Promotes the record the
+// same way a weight save would.
+app.post("/api/inspections/:inspectionId/confirm-weight", requireWeightEditAuth, async (req, res) => {
+  try {
+    const doc = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, req.params.inspectionId);
+    if (!doc.weight_outlier) {
+      return res.status(400).json({ success: false, error: 'This weight is not flagged as an outlier' });
+    }
+
+    const update = {
+      weight_confirmed_by: getDisplayName(req.session.username),
+      weight_confirmed_at: new Date().toISOString()
+    };
+    Object.assign(update, await settledStatusFields(doc, update));
+
+    const inspection = await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, update);
+    if (update.status) await recordStatusChange(doc, update.status, statusActor(req), 'Weight confirmed');
+    res.json({ success: true, inspection });
+  } catch (error) {
+    console.error("Error confirming weight:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ======================
+// UPDATE WEIGHT
+// ======================
+
+app.post("/update-weight", requireWeightEditAuth, async (req, res) => {
+  try {
+    const { fileId, weight } = req.body;
+
+    if (!fileId) {
+      return res.status(400).json({ success: false, error: 'File ID is required' });
+    }
+
+    const weightStr = weight !== null && weight !== undefined ? String(weight).trim() : '';
+    const weightValue = weightStr !== '' ? parseFloat(weightStr) : null;
+
+    if (weightValue !== null && (isNaN(weightValue) || weightValue < 0)) {
+      return res.status(400).json({ success: false, error: 'Weight must be a positive number or empty' });
+    }
+
+    const formattedWeight = weightValue !== null ? parseFloat(weightValue.toFixed(1)) : null;
+
+    const currentDoc = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId);
+    const updateData = weightUpdateFields(currentDoc, formattedWeight, await loadLotWeights(currentDoc.lot));
+    Object.assign(updateData, await settledStatusFields(currentDoc, updateData));
+
+    await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId, updateData);
+    if (updateData.status) await recordStatusChange(currentDoc, updateData.status, statusActor(req));
+
+    res.json({
+      success: true,
+      weight: formattedWeight,
+      status: updateData.status || currentDoc.status,
+      outlier: updateData.weight_outlier
+    });
+  } catch (error) {
+    console.error("Error updating weight:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/update-weights", requireWeightEditAuth, async (req, res) => {
+  try {
+    const { weights } = req.body;
+
+    if (!weights || !Array.isArray(weights) || weights.length === 0) {
+      return res.status(400).json({ success: false, error: 'Weights array is required' });
+    }
+
+    const results = [];
+    const errors = [];
+
     for (const item of weights) {
       const { fileId, weight } = item;
 
-      if (!fileId) { errors.push({ error: 'File ID is required' }); continue; }
+      if (!fileId) { errors.push({ error: 'File ID is required' }); continue; }
+
+      const weightValue = weight && weight.toString().trim() !== '' ? parseFloat(weight) : null;
+
+      if (weightValue !== null && (isNaN(weightValue) || weightValue < 0)) {
+        errors.push({ fileId, error: 'Weight must be a positive number or empty' });
+        continue;
+      }
+
+      const formattedWeight = weightValue !== null ? parseFloat(weightValue.toFixed(1)) : null;
+
+      try {
+        const currentDoc2 = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId);
+        const bulkUpdateData = weightUpdateFields(currentDoc2, formattedWeight, await loadLotWeights(currentDoc2.lot));
+        Object.assign(bulkUpdateData, await settledStatusFields(currentDoc2, bulkUpdateData));
+        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId, bulkUpdateData);
+        if (bulkUpdateData.status) await recordStatusChange(currentDoc2, bulkUpdateData.status, statusActor(req));
+        results.push({ fileId, weight: formattedWeight, outlier: bulkUpdateData.weight_outlier, success: true });
+      } catch (err) {
+        errors.push({ fileId, error: err.message });
+      }
+    }
+
+    res.json({
+      success: errors.length === 0,
+      updated: results.length,
+      results: results.length > 0 ? results : undefined,
+      errors: errors.length > 0 ? errors : undefined
+    });
+  } catch (error) {
+    console.error("Error updating weights:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ======================
+// WEIGHT EXCEL IMPORT
+// ======================
+
+let importProgress = { current: 0, total: 0, status: 'idle' };
+
+app.get("/import-progress", requireWeightEditAuth, (req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  return res.json(importProgress);
+});
+
+app.post("/import-weights", requireWeightEditAuth, (req, res, next) => {
+  upload.any()(req, res, (err) => {
+    if (err) {
+      console.error("Upload error:", err.message);
+      importProgress = { current: 0, total: 0, status: 'error' };
+      return res.status(400).json({ ok: false, error: "Upload failed" });
+    }
+    processImport(req, res);
+  });
+});
+
+async function processImport(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ ok: false });
+    }
+
+    const file = req.files[0];
+    const buf = XLSX.read(file.buffer, { type: 'buffer' });
+    const ws = buf.Sheets[buf.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(ws, { header: 1 });
+
+    // Parse and validate all rows up front
+    const validRows = [];
+    const suspiciousRows = []; // weight === file number is almost always a fill/paste mistake, not a real reading
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i];
+      if (!row || !row[0] || !row[1]) continue;
+      const fileNum = String(row[0]).trim().replace(/\.txt$/i, '');
+      const weight = parseFloat(String(row[1]).trim());
+      if (!fileNum || isNaN(weight) || weight < 0) continue;
+      const roundedWeight = Math.round(weight * 10) / 10;
+
+      // Real nozzle weights are ~300-400g with a decimal; file numbers are bare
+      // sequential integers. If the "weight" exactly equals the file number
+      // (e.g. file 567 -> weight 567), this is almost certainly an Excel
+      // drag-fill / copy-paste mistake, not a measurement. Skip it and report
+      // it instead of silently writing bad data into the database.
+      if (roundedWeight === parseFloat(fileNum)) {
+        suspiciousRows.push(fileNum);
+        continue;
+      }
+
+      validRows.push({ fileNum, filename: fileNum + '.txt', roundedWeight });
+    }
+
+    const totalRows = validRows.length;
+    importProgress = { current: 0, total: totalRows, status: 'processing' };
+
+    let updated = 0;
+    let notFound = 0;
+    const actor = statusActor(req);
+
+    // Look up every row first so each lot can be judged with all of its
+    // imported weights, not just the ones written so far.
+    const found = [];
+    await inBatches(validRows, async row => {
+      try {
+        const result = await databases.listDocuments(
+          DATABASE_ID,
+          COLLECTION_INSPECTIONS,
+          [Query.equal('filename', row.filename), Query.limit(1)]
+        );
+        if (result.documents && result.documents.length > 0) {
+          found.push({ ...row, doc: result.documents[0] });
+        } else {
+          notFound++;
+        }
+      } catch (rowErr) {
+        console.error(`Row error (${row.filename}):`, rowErr.message);
+      }
+    });
+
+    // Stored weights of each lot, overlaid with the weights of this import
+    const lotWeights = new Map();
+    for (const lot of new Set(found.map(r => r.doc.lot).filter(Boolean))) {
+      lotWeights.set(lot, await loadLotWeights(lot));
+    }
+    found.forEach(({ doc, roundedWeight }) => {
+      if (lotWeights.has(doc.lot)) lotWeights.get(doc.lot).set(doc.$id, roundedWeight);
+    });
+
+    // Process in batches of 5 concurrent requests instead of one-at-a-time.
+    // The old code also did a getDocument (verify) after each write — removed
+    // because updateDocument already returns the updated record.
+    const outliers = [];
+    await inBatches(found, async ({ fileNum, filename, roundedWeight, doc }) => {
+      try {
+        const weightUpdateData = weightUpdateFields(doc, roundedWeight, lotWeights.get(doc.lot) || new Map());
+        Object.assign(weightUpdateData, await settledStatusFields(doc, weightUpdateData));
+        await databases.updateDocument(
+          DATABASE_ID,
+          COLLECTION_INSPECTIONS,
+          doc.$id,
+          weightUpdateData
+        );
+        if (weightUpdateData.status) await recordStatusChange(doc, weightUpdateData.status, actor);
+        updated++;
+        if (weightUpdateData.weight_outlier) {
+          outliers.push({ fileNum, lot: doc.lot || null, weight: roundedWeight, reason: weightUpdateData.weight_outlier });
+        }
+      } catch (rowErr) {
+        console.error(`Row error (${filename}):`, rowErr.message);
+      }
+    }, done => { importProgress.current = done; });
+
+    const lotStats = [...lotWeights.entries()].map(([lot, weights]) => ({ lot, ...weightStats([...weights.values()]) }));
+    outliers.sort((a, b) => (parseInt(a.fileNum) || 0) - (parseInt(b.fileNum) || 0));
+
+    importProgress = { current: totalRows, total: totalRows, status: 'complete' };
+
+    return res.json({
+      ok: true,
+      success: true,
+      updated,
+      verified: updated,   // every successful updateDocument is implicitly verified
+      verifyFailed: 0,
+      notFound,
+      suspicious: suspiciousRows.length,
+      suspiciousFiles: suspiciousRows, // file numbers skipped because weight == file number
+      outliers, // saved, but held back from finished_inspection until confirmed
+      lotStats,
+      message: `Success: ${updated} records updated in database` +
+        (suspiciousRows.length > 0
+          ? `. ${suspiciousRows.length} rows skipped as suspicious (weight matched file number): ${suspiciousRows.join(', ')}`
+          : '') +
+        (outliers.length > 0 ? `. ${outliers.length} weights flagged as outliers` : '')
+    });
+
+  } catch (e) {
+    console.error("Import error:", e.message);
+    importProgress = { current: 0, total: 0, status: 'error' };
+    return res.status(200).json({ ok: false, error: e.message });
+  }
+}
+
+// ======================
+// WEIGHT EXCEL EXPORT
+// ======================
+
+app.get("/export-weights", requireWeightEditAuth, async (req, res) => {
+  try {
+    const result = await databases.listDocuments(
+      DATABASE_ID,
+      COLLECTION_INSPECTIONS,
+      [Query.limit(10000)]
+    );
+
+    const dataWithWeights = result.documents
+      .map(doc => {
+        const fileNumber = doc.filename.replace('.txt', '').replace(/[^0-9]/g, '');
+        return {
+          'ファイル番号': fileNumber,
+          '重量 (g)': doc.weight || ''
+        };
+      })
+      .sort((a, b) => {
+        const numA = parseInt(a['ファイル番号']) || 0;
+        const numB = parseInt(b['ファイル番号']) || 0;
+        return numA - numB;
+      });
+
+    if (dataWithWeights.length === 0) {
+      return res.status(400).json({ success: false, error: 'No files in database to export' });
+    }
+
+    const worksheet = XLSX.utils.json_to_sheet(dataWithWeights);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Weights');
+    worksheet['!cols'] = [{ wch: 15 }, { wch: 12 }];
+
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="weights_${new Date().toISOString().split('T')[0]}.xlsx"`);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(buffer);
+  } catch (error) {
+    console.error("Error exporting weights:", error);
+    res.setHeader('Content-Type', 'application/json');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ======================
+// MEASUREMENT EXCEL EXPORT
+// ======================
+
+app.get("/export-measurements", requireAuth, async (req, res) => {
+  try {
+    // Every record is exported — never silently truncate
+    const allDocs = await listAllDocuments(COLLECTION_INSPECTIONS);
+
+    // Columns follow the specs the records were judged against, in spec order
+    const specs = {};
+    for (const doc of allDocs) {
+      const specKey = doc.spec_id || 'default';
+      if (!specs[specKey]) specs[specKey] = await getPartSpec(doc.spec_id);
+    }
+    const checkpointKeys = [];
+    Object.values(specs).forEach(spec => {
+      getMeasuredCheckpoints(spec).forEach(cp => {
+        if (!checkpointKeys.includes(cp.key)) checkpointKeys.push(cp.key);
+      });
+    });
+
+    const dataWithMeasurements = allDocs
+      .map(doc => {
+        const spec = specs[doc.spec_id || 'default'];
+        const row = {
+          filename: doc.filename,
+          lot: doc.lot || '',
+          weight: doc.weight || '',
+          status: doc.status || 'unknown',
+          product: spec.product_code,
+          specVersion: spec.version,
+          measuredAt: formatCmmLocalTime(doc.measured_at),
+          program: doc.cmm_program || '',
+          machine: doc.cmm_machine || '',
+          operator: doc.cmm_operator || ''
+        };
+        // Blank = not measured / not judged; judgments are real TRUE/FALSE cells
+        checkpointKeys.forEach(key => { row[`measurement${key}`] = readMeasurement(doc, key) ?? ''; });
+        checkpointKeys.forEach(key => { row[`isValid${key}`] = readValidity(doc, key) ?? ''; });
+        // Deviation from nominal and % of the tolerance used, against this record's spec
+        checkpointKeys.forEach(key => {
+          const cp = spec.checkpoints.find(c => c.key === key);
+          const { deviation, usage } = cp ? toleranceUsage(readMeasurement(doc, key), cp) : {};
+          row[`deviation${key}`] = deviation ?? '';
+          row[`usage${key}`] = usage ?? '';
+        });
+        return row;
+      })
+      .sort((a, b) => {
+        const numA = parseInt(a.filename.replace('.txt', '')) || 0;
+        const numB = parseInt(b.filename.replace('.txt', '')) || 0;
+        return numA - numB;
+      });
+
+    if (dataWithMeasurements.length === 0) {
+      return res.status(400).json({ success: false, error: 'No measurement data to export' });
+    }
 
-      const weightValue = weight && weight.toString().trim() !== '' ? parseFloat(weight) : null;
+    const worksheet = XLSX.utils.json_to_sheet(dataWithMeasurements);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Measurements');
+    worksheet['!cols'] = Array(10 + checkpointKeys.length * 4).fill({ wch: 12 });
+
+    const specRows = [];
+    Object.values(specs).forEach(spec => {
+      getMeasuredCheckpoints(spec).forEach(cp => {
+        specRows.push({
+          product: spec.product_code,
+          specVersion: spec.version,
+          checkpoint: cp.key,
+          nominal: cp.nominal ?? '',
+          lower: cp.lower,
+          upper: cp.upper
+        });
+      });
+    });
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(specRows), 'Specs');
 
-      if (weightValue !== null && (isNaN(weightValue) || weightValue < 0)) {
-        errors.push({ fileId, error: 'Weight must be a positive number or empty' });
-        continue;
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="measurements_export_${new Date().toISOString().split('T')[0]}.xlsx"`);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(buffer);
+  } catch (error) {
+    console.error("Error exporting measurements:", error);
+    res.setHeader('Content-Type', 'application/json');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ======================
+// ARCHIVE / UNARCHIVE
+// ======================
+
+app.post("/archive-files", requireAuth, async (req, res) => {
+  try {
+    const { fileIds } = req.body;
+
+    if (!Array.isArray(fileIds) || fileIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'No file IDs provided' });
+    }
+
+    let archived = 0;
+    let errors = [];
+
+    for (const fileId of fileIds) {
+      try {
+        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId, { is_archived: true });
+        archived++;
+      } catch (err) {
+        errors.push(fileId);
       }
+    }
 
-      const formattedWeight = weightValue !== null ? parseFloat(weightValue.toFixed(1)) : null;
+    res.json({ success: true, archived, errors: errors.length > 0 ? errors : undefined });
+  } catch (error) {
+    console.error("Error archiving files:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/unarchive-files", requireAuth, async (req, res) => {
+  try {
+    const { fileIds } = req.body;
+
+    if (!Array.isArray(fileIds) || fileIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'No file IDs provided' });
+    }
+
+    let unarchived = 0;
+    let errors = [];
 
+    for (const fileId of fileIds) {
       try {
-        const currentDoc2 = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId);
-        const bulkUpdateData = { weight: formattedWeight };
-        const promotableStatuses = ['upcoming_import', 'imported', 'inspection'];
-        if (formattedWeight !== null && promotableStatuses.includes(currentDoc2.status)) {
-          bulkUpdateData.status = 'finished_inspection';
-        }
-        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId, bulkUpdateData);
-        results.push({ fileId, weight: formattedWeight, success: true });
+        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId, { is_archived: false });
+        unarchived++;
       } catch (err) {
-        errors.push({ fileId, error: err.message });
+        errors.push(fileId);
       }
     }
 
-    res.json({
-      success: errors.length === 0,
-      updated: results.length,
-      results: results.length > 0 ? results : undefined,
-      errors: errors.length > 0 ? errors : undefined
-    });
+    res.json({ success: true, unarchived, errors: errors.length > 0 ? errors : undefined });
   } catch (error) {
-    console.error("Error updating weights:", error);
+    console.error("Error unarchiving files:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ======================
-// WEIGHT EXCEL IMPORT
+// SUMMARY ROUTE
 // ======================
 
-let importProgress = { current: 0, total: 0, status: 'idle' };
+app.get("/summary", requireAuth, async (req, res) => {
+  try {
+    const selectedFilesParam = req.query.selectedFiles || "";
+    const fileIds = selectedFilesParam.split(",").map(id => id.trim()).filter(id => id.length > 0);
 
-app.get("/import-progress", requireWeightEditAuth, (req, res) => {
-  res.setHeader('Content-Type', 'application/json');
-  return res.json(importProgress);
+    if (fileIds.length === 0) return res.redirect("/");
+
+    const files = [];
+    const fileData = {};
+    const judgments = {};
+    const specsById = {};
+
+    for (const fileId of fileIds) {
+      try {
+        const inspection = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId);
+        files.push(inspection);
+
+        const spec = await getPartSpec(inspection.spec_id);
+        specsById[spec.$id || 'default'] = spec;
+        fileData[inspection.$id] = buildMeasurementsFromDoc(inspection, spec);
+        judgments[inspection.$id] = parseJudgments(inspection);
+      } catch (error) {
+        console.error(`Error fetching inspection ${fileId}:`, error);
+      }
+    }
+
+    // The report header is printed from one spec. A selection that spans
+    // several spec versions is still rendered, but flagged on the page.
+    const specs = Object.values(specsById).sort((a, b) => b.version - a.version);
+    const spec = specs[0] || await getCurrentPartSpec(DEFAULT_PRODUCT_CODE);
+
+    res.render("summary", {
+      files,
+      fileData,
+      judgments,
+      judgmentKeys: getJudgmentItems(spec).map(item => item.key),
+      judgmentLabels: JUDGMENT_RESULTS,
+      canEditWeights: req.session.canEditWeights,
+      spec,
+      mixedSpecs: specs.length > 1 ? specs : null,
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username),
+      inspectorName: getDisplayName(req.session.username),
+    });
+  } catch (error) {
+    console.error("Error generating summary:", error);
+    res.status(500).send("Error generating summary");
+  }
 });
 
-app.post("/import-weights", requireWeightEditAuth, (req, res, next) => {
-  upload.any()(req, res, (err) => {
-    if (err) {
-      console.error("Upload error:", err.message);
-      importProgress = { current: 0, total: 0, status: 'error' };
-      return res.status(400).json({ ok: false, error: "Upload failed" });
+// ======================
+// SPC CONTROL CHARTS
+// ======================
+// Individuals/moving-range (I-MR) and X̄-R charts for one checkpoint or group
+// of a product. Control limits come from a baseline: points baselineStart to
+// baselineEnd (1-based, inclusive) of the ordered series, or every point when
+// not given. For X̄-R only subgroups lying entirely inside the baseline count.
+
+// Shewhart constants by subgroup size
+const SPC_CONSTANTS = {
+  2: { A2: 1.880, D3: 0, D4: 3.267, d2: 1.128 },
+  3: { A2: 1.023, D3: 0, D4: 2.574, d2: 1.693 },
+  4: { A2: 0.729, D3: 0, D4: 2.282, d2: 2.059 },
+  5: { A2: 0.577, D3: 0, D4: 2.114, d2: 2.326 },
+  6: { A2: 0.483, D3: 0, D4: 2.004, d2: 2.534 },
+  7: { A2: 0.419, D3: 0.076, D4: 1.924, d2: 2.704 },
+  8: { A2: 0.373, D3: 0.136, D4: 1.864, d2: 2.847 },
+  9: { A2: 0.337, D3: 0.184, D4: 1.816, d2: 2.970 },
+  10: { A2: 0.308, D3: 0.223, D4: 1.777, d2: 3.078 }
+};
+
+const SPC_CHART_TYPES = ['imr', 'xbar'];
+const SPC_ORDERS = ['file', 'date'];
+
+// Run tests on z-scores ((x − centre) / σ). Each test looks at the window of
+// `length` points ending at the flagged point.
+const sameSide = zs => zs.every(z => z > 0) || zs.every(z => z < 0);
+const countBeyond = (zs, limit) => Math.max(zs.filter(z => z > limit).length, zs.filter(z => z < -limit).length);
+const SPC_TESTS = {
+  beyond3: { length: 1, test: zs => Math.abs(zs[0]) > 3 },
+  twoOfThree: { length: 3, test: zs => countBeyond(zs, 2) >= 2 },
+  fourOfFive: { length: 5, test: zs => countBeyond(zs, 1) >= 4 },
+  eightSameSide: { length: 8, test: sameSide },
+  nineSameSide: { length: 9, test: sameSide },
+  sixTrend: {
+    length: 6,
+    test: zs => zs.slice(1).every((z, i) => z > zs[i]) || zs.slice(1).every((z, i) => z < zs[i])
+  },
+  fourteenAlternating: {
+    length: 14,
+    test: zs => zs.slice(2).every((z, i) => (z - zs[i + 1]) * (zs[i + 1] - zs[i]) < 0)
+  },
+  fifteenWithin1: { length: 15, test: zs => zs.every(z => Math.abs(z) < 1) },
+  eightOutside1: { length: 8, test: zs => zs.every(z => Math.abs(z) > 1) && !sameSide(zs) }
+};
+
+const SPC_RULE_SETS = {
+  western_electric: [
+    { id: 'WE1', test: 'beyond3', description: '1点が管理限界 (3σ) を超えた' },
+    { id: 'WE2', test: 'twoOfThree', description: '連続3点中2点が同じ側の2σを超えた' },
+    { id: 'WE3', test: 'fourOfFive', description: '連続5点中4点が同じ側の1σを超えた' },
+    { id: 'WE4', test: 'eightSameSide', description: '連続8点が中心線の同じ側' }
+  ],
+  nelson: [
+    { id: 'N1', test: 'beyond3', description: '1点が管理限界 (3σ) を超えた' },
+    { id: 'N2', test: 'nineSameSide', description: '連続9点が中心線の同じ側' },
+    { id: 'N3', test: 'sixTrend', description: '連続6点が単調に増加または減少' },
+    { id: 'N4', test: 'fourteenAlternating', description: '連続14点が交互に増減' },
+    { id: 'N5', test: 'twoOfThree', description: '連続3点中2点が同じ側の2σを超えた' },
+    { id: 'N6', test: 'fourOfFive', description: '連続5点中4点が同じ側の1σを超えた' },
+    { id: 'N7', test: 'fifteenWithin1', description: '連続15点が1σ以内 (層別の疑い)' },
+    { id: 'N8', test: 'eightOutside1', description: '連続8点が両側とも1σの外' }
+  ]
+};
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// [{ index, rule, description }] — index is the point that completes the pattern
+function spcViolations(values, center, sigma, ruleSet) {
+  if (!(sigma > 0)) return [];
+  const zs = values.map(v => (v - center) / sigma);
+  const violations = [];
+  SPC_RULE_SETS[ruleSet].forEach(rule => {
+    const { length, test } = SPC_TESTS[rule.test];
+    for (let i = length - 1; i < zs.length; i++) {
+      if (test(zs.slice(i - length + 1, i + 1))) {
+        violations.push({ index: i, rule: rule.id, description: rule.description });
+      }
     }
-    processImport(req, res);
   });
-});
+  return violations.sort((a, b) => a.index - b.index);
+}
 
-async function processImport(req, res) {
-  res.setHeader('Content-Type', 'application/json');
+// Range charts are only checked against their limits
+function rangeViolations(ranges, ucl, lcl, ruleSet) {
+  const rule = SPC_RULE_SETS[ruleSet][0];
+  const violations = [];
+  ranges.forEach((r, index) => {
+    if (r !== null && (r > ucl || r < lcl)) {
+      violations.push({ index, rule: rule.id, description: '範囲が管理限界を超えた' });
+    }
+  });
+  return violations;
+}
+
+// baseline: { start, end } 0-based inclusive indices into values
+function individualsChart(values, baseline, ruleSet) {
+  const baseValues = values.slice(baseline.start, baseline.end + 1);
+  if (baseValues.length < 2) throw new Error('The baseline needs at least 2 points');
+
+  const movingRanges = values.map((v, i) => (i === 0 ? null : Math.abs(v - values[i - 1])));
+  const baseRanges = movingRanges.slice(baseline.start + 1, baseline.end + 1);
+  const center = mean(baseValues);
+  const mrBar = mean(baseRanges);
+  const sigma = mrBar / SPC_CONSTANTS[2].d2;
+
+  return {
+    sigma,
+    primary: {
+      label: 'I',
+      values,
+      center,
+      ucl: center + 3 * sigma,
+      lcl: center - 3 * sigma,
+      violations: spcViolations(values, center, sigma, ruleSet)
+    },
+    secondary: {
+      label: 'MR',
+      values: movingRanges,
+      center: mrBar,
+      ucl: SPC_CONSTANTS[2].D4 * mrBar,
+      lcl: 0,
+      violations: rangeViolations(movingRanges, SPC_CONSTANTS[2].D4 * mrBar, 0, ruleSet)
+    }
+  };
+}
+
+// Consecutive subgroups of `size` points; an incomplete last subgroup is dropped
+function xbarRChart(values, size, baseline, ruleSet) {
+  const constants = SPC_CONSTANTS[size];
+  const subgroups = [];
+  for (let start = 0; start + size <= values.length; start += size) {
+    const group = values.slice(start, start + size);
+    subgroups.push({ start, end: start + size - 1, mean: mean(group), range: Math.max(...group) - Math.min(...group) });
+  }
+  const baseGroups = subgroups.filter(g => g.start >= baseline.start && g.end <= baseline.end);
+  if (baseGroups.length < 2) throw new Error('The baseline needs at least 2 complete subgroups');
+
+  const grandMean = mean(baseGroups.map(g => g.mean));
+  const rBar = mean(baseGroups.map(g => g.range));
+  const sigmaXbar = rBar / constants.d2 / Math.sqrt(size);
+  const means = subgroups.map(g => g.mean);
+  const ranges = subgroups.map(g => g.range);
 
+  return {
+    sigma: rBar / constants.d2,
+    subgroups: subgroups.map(g => ({ start: g.start, end: g.end })),
+    primary: {
+      label: 'X̄',
+      values: means,
+      center: grandMean,
+      ucl: grandMean + constants.A2 * rBar,
+      lcl: grandMean - constants.A2 * rBar,
+      violations: spcViolations(means, grandMean, sigmaXbar, ruleSet)
+    },
+    secondary: {
+      label: 'R',
+      values: ranges,
+      center: rBar,
+      ucl: constants.D4 * rBar,
+      lcl: constants.D3 * rBar,
+      violations: rangeViolations(ranges, constants.D4 * rBar, constants.D3 * rBar, ruleSet)
+    }
+  };
+}
+
+// Checkpoint or averaging group of a spec that has a measured value
+function findMeasuredItem(spec, key) {
+  const checkpoint = getMeasuredCheckpoints(spec).find(cp => cp.key === key);
+  return checkpoint || spec.groups.find(group => group.key === key) || null;
+}
+
+function fileNumberOf(filename) {
+  return parseInt(String(filename || '').replace(/\.txt$/i, '')) || 0;
+}
+
+// Start of a local CMM day (YYYY-MM-DD) as a UTC ISO timestamp
+function cmmDayStart(day, offsetDays = 0) {
+  const date = new Date(`${day}T00:00:00${CMM_UTC_OFFSET}`);
+  date.setUTCDate(date.getUTCDate() + offsetDays);
+  return date.toISOString();
+}
+
+// Measurement date between the local days from and to (inclusive, either may
+// be empty); upload time stands in when the TXT had no date.
+function measuredBetweenQuery(from, to) {
+  const range = attribute => [
+    ...(from ? [Query.greaterThanEqual(attribute, cmmDayStart(from))] : []),
+    ...(to ? [Query.lessThan(attribute, cmmDayStart(to, 1))] : [])
+  ];
+  return Query.or([
+    Query.and([Query.isNotNull('measured_at'), ...range('measured_at')]),
+    Query.and([Query.isNull('measured_at'), ...range('uploaded_at')])
+  ]);
+}
+
+// Measured values of one key for a product, ordered by file number or by
+// measurement date (upload time when the TXT had no date). lot filters on the
+// lot number; from/to on the local measurement date (YYYY-MM-DD, inclusive).
+// Archived records and import placeholders are left out.
+async function loadSpcSeries(spec, key, { lot, from, to, order }) {
+  const queries = [
+    productQuery(spec.product_code),
+    Query.equal('is_archived', false),
+    Query.notEqual('status', 'upcoming_import')
+  ];
+  if (normalizeLot(lot)) queries.push(Query.equal('lot', normalizeLot(lot)));
+  if (from || to) queries.push(measuredBetweenQuery(from, to));
+
+  const points = [];
+  await forEachPage(COLLECTION_INSPECTIONS, queries, documents => documents.forEach(doc => {
+    const date = formatCmmLocalTime(doc.measured_at || doc.uploaded_at);
+    const value = buildMeasurementsFromDoc(doc, spec)[key].value;
+    if (value === null) return;
+    points.push({ id: doc.$id, filename: doc.filename, lot: doc.lot || null, date: date || null, value });
+  }));
+
+  const byFile = (a, b) => fileNumberOf(a.filename) - fileNumberOf(b.filename);
+  const byDate = (a, b) => (a.date || '').localeCompare(b.date || '');
+  return points.sort((a, b) => (order === 'date' ? byDate(a, b) || byFile(a, b) : byFile(a, b) || byDate(a, b)));
+}
+
+function parseOptionalInt(value) {
+  if (value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+// Query: key, product, lot, from, to, order (file|date), chart (imr|xbar),
+// subgroup (2–10, X̄-R only), baselineStart/baselineEnd (1-based positions),
+// rules (western_electric|nelson).
+async function buildSpcChart(query) {
+  const spec = await getCurrentPartSpec(query.product || DEFAULT_PRODUCT_CODE);
+  if (!spec) return { status: 404, error: 'Unknown product' };
+
+  const key = query.key;
+  const item = findMeasuredItem(spec, key);
+  if (!item) return { status: 400, error: `Unknown checkpoint: ${key}` };
+
+  const chartType = query.chart || 'imr';
+  const order = query.order || 'file';
+  const ruleSet = query.rules || 'western_electric';
+  const subgroupSize = parseOptionalInt(query.subgroup) ?? 5;
+  if (!SPC_CHART_TYPES.includes(chartType)) return { status: 400, error: 'chart must be imr or xbar' };
+  if (!SPC_ORDERS.includes(order)) return { status: 400, error: 'order must be file or date' };
+  if (!Object.keys(SPC_RULE_SETS).includes(ruleSet)) return { status: 400, error: 'rules must be western_electric or nelson' };
+  if (chartType === 'xbar' && !SPC_CONSTANTS[subgroupSize]) return { status: 400, error: 'subgroup must be 2–10' };
+
+  const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+  if ((query.from && !dateFormat.test(query.from)) || (query.to && !dateFormat.test(query.to))) {
+    return { status: 400, error: 'from/to must be YYYY-MM-DD' };
+  }
+
+  const points = await loadSpcSeries(spec, key, { lot: query.lot, from: query.from, to: query.to, order });
+  if (points.length === 0) return { status: 404, error: 'No measured values match the filters', points };
+  const baselineStart = parseOptionalInt(query.baselineStart) ?? 1;
+  const baselineEnd = parseOptionalInt(query.baselineEnd) ?? points.length;
+  if (!(baselineStart >= 1 && baselineEnd >= baselineStart)) {
+    return { status: 400, error: 'baselineStart/baselineEnd must be positions with start ≤ end' };
+  }
+  const baseline = { start: baselineStart - 1, end: Math.min(baselineEnd, points.length) - 1 };
+
+  const values = points.map(p => p.value);
+  let chart;
   try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ ok: false });
+    chart = chartType === 'imr'
+      ? individualsChart(values, baseline, ruleSet)
+      : xbarRChart(values, subgroupSize, baseline, ruleSet);
+  } catch (error) {
+    return { status: 400, error: error.message, points };
+  }
+
+  return {
+    status: 200,
+    result: {
+      product: spec.product_code,
+      specVersion: spec.version,
+      key,
+      limits: { nominal: item.nominal ?? null, lower: item.lower ?? null, upper: item.upper ?? null },
+      chart: chartType,
+      order,
+      rules: ruleSet,
+      subgroupSize: chartType === 'xbar' ? subgroupSize : 1,
+      baseline: { start: baseline.start + 1, end: baseline.end + 1 },
+      points,
+      ...chart
     }
+  };
+}
 
-    const file = req.files[0];
-    const buf = XLSX.read(file.buffer, { type: 'buffer' });
-    const ws = buf.Sheets[buf.SheetNames[0]];
-    const rows = XLSX.utils.sheet_to_json(ws, { header: 1 });
+// Form values for /spc. Every field is checked against what the form can
+// send, so nothing from the URL reaches the page unvalidated.
+function spcPageFilters(query, products) {
+  const product = products.find(p => p.code === query.product) || products[0];
+  const int = value => (Number.isInteger(parseOptionalInt(value)) ? parseOptionalInt(value) : '');
+  const day = value => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? value : '');
+  return {
+    product: product ? product.code : '',
+    key: product && product.keys.includes(query.key) ? query.key : '',
+    chart: SPC_CHART_TYPES.includes(query.chart) ? query.chart : 'imr',
+    order: SPC_ORDERS.includes(query.order) ? query.order : 'file',
+    rules: Object.keys(SPC_RULE_SETS).includes(query.rules) ? query.rules : 'western_electric',
+    subgroup: int(query.subgroup),
+    lot: typeof query.lot === 'string' ? normalizeLot(query.lot) || '' : '',
+    from: day(query.from),
+    to: day(query.to),
+    baselineStart: int(query.baselineStart),
+    baselineEnd: int(query.baselineEnd)
+  };
+}
 
-    // Parse and validate all rows up front
-    const validRows = [];
-    const suspiciousRows = []; // weight === file number is almost always a fill/paste mistake, not a real reading
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      if (!row || !row[0] || !row[1]) continue;
-      const fileNum = String(row[0]).trim().replace(/\.txt$/i, '');
-      const weight = parseFloat(String(row[1]).trim());
-      if (!fileNum || isNaN(weight) || weight < 0) continue;
-      const roundedWeight = Math.round(weight * 10) / 10;
+app.get("/spc", requireAuth, async (req, res) => {
+  try {
+    const specs = await listCurrentPartSpecs();
+    const products = specs.map(spec => ({
+      code: spec.product_code,
+      name: spec.product_name,
+      keys: [...getMeasuredCheckpoints(spec).map(cp => cp.key), ...spec.groups.map(group => group.key)]
+    }));
 
-      // Real nozzle weights are ~300-400g with a decimal; file numbers are bare
-      // sequential integers. If the "weight" exactly equals the file number
-      // (e.g. file 567 -> weight 567), this is almost certainly an Excel
-      // drag-fill / copy-paste mistake, not a measurement. Skip it and report
-      // it instead of silently writing bad data into the database.
-      if (roundedWeight === parseFloat(fileNum)) {
-        suspiciousRows.push(fileNum);
-        continue;
-      }
+    res.render("spc", {
+      products,
+      filters: spcPageFilters(req.query, products),
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username)
+    });
+  } catch (error) {
+    console.error("Error loading SPC page:", error);
+    res.status(500).send("Error loading SPC page");
+  }
+});
 
-      validRows.push({ fileNum, filename: fileNum + '.txt', roundedWeight });
+app.get("/api/spc", requireAuth, async (req, res) => {
+  try {
+    if (!req.query.key) {
+      return res.status(400).json({ success: false, error: 'key is required' });
     }
+    const { status, error, result, points } = await buildSpcChart(req.query);
+    if (error) return res.status(status).json({ success: false, error, points });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error building SPC chart:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const totalRows = validRows.length;
-    importProgress = { current: 0, total: totalRows, status: 'processing' };
+// ======================
+// PROCESS CAPABILITY
+// ======================
+// Cp/Cpk use the within-process σ (MR̄ / d2, records in file-number order);
+// Pp/Ppk use the overall sample standard deviation. Normality is the
+// Anderson-Darling test against a normal with the sample mean and σ.
+
+const CAPABILITY_MIN_SAMPLES = 2;
+const NORMALITY_MIN_SAMPLES = 8;
+
+// Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
 
-    let updated = 0;
-    let notFound = 0;
-    const promotableStatuses = ['upcoming_import', 'imported', 'inspection'];
+function sampleStdDev(values) {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
 
-    // Process in batches of 5 concurrent requests instead of one-at-a-time.
-    // Each row needs: 1x listDocuments (lookup) + 1x updateDocument (write) = 2 calls.
-    // The old code also did a 3rd getDocument (verify) — removed because updateDocument
-    // already returns the updated record, so re-fetching it was a free wasted round-trip.
-    const BATCH_SIZE = 5;
-    for (let b = 0; b < validRows.length; b += BATCH_SIZE) {
-      const batch = validRows.slice(b, b + BATCH_SIZE);
-
-      await Promise.all(batch.map(async ({ filename, roundedWeight }) => {
-        try {
-          const result = await databases.listDocuments(
-            DATABASE_ID,
-            COLLECTION_INSPECTIONS,
-            [Query.equal('filename', filename), Query.limit(1)]
-          );
+// { statistic (A*², small-sample adjusted), pValue, normal (p ≥ 0.05) } or
+// null when there are too few values or no spread
+function andersonDarling(values) {
+  const n = values.length;
+  const sd = n >= NORMALITY_MIN_SAMPLES ? sampleStdDev(values) : 0;
+  if (!(sd > 0)) return null;
+
+  const m = mean(values);
+  const clamp = p => Math.min(Math.max(p, 1e-12), 1 - 1e-12);
+  const cdf = [...values].sort((a, b) => a - b).map(v => clamp(normalCdf((v - m) / sd)));
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    sum += (2 * i + 1) * (Math.log(cdf[i]) + Math.log(1 - cdf[n - 1 - i]));
+  }
+  const a2 = (-n - sum / n) * (1 + 0.75 / n + 2.25 / (n * n));
 
-          if (result.documents && result.documents.length > 0) {
-            const doc = result.documents[0];
-            const weightUpdateData = { weight: roundedWeight };
-            if (promotableStatuses.includes(doc.status)) {
-              weightUpdateData.status = 'finished_inspection';
-            }
-            // updateDocument returns the updated doc — no need for a separate getDocument verify
-            await databases.updateDocument(
-              DATABASE_ID,
-              COLLECTION_INSPECTIONS,
-              doc.$id,
-              weightUpdateData
-            );
-            updated++;
-          } else {
-            notFound++;
-          }
-        } catch (rowErr) {
-          console.error(`Row error (${filename}):`, rowErr.message);
-        }
-      }));
+  // D'Agostino & Stephens (1986)
+  let pValue;
+  if (a2 >= 0.6) pValue = Math.exp(1.2937 - 5.709 * a2 + 0.0186 * a2 * a2);
+  else if (a2 >= 0.34) pValue = Math.exp(0.9177 - 4.279 * a2 - 1.38 * a2 * a2);
+  else if (a2 >= 0.2) pValue = 1 - Math.exp(-8.318 + 42.796 * a2 - 59.938 * a2 * a2);
+  else pValue = 1 - Math.exp(-13.436 + 101.14 * a2 - 223.73 * a2 * a2);
+  pValue = Math.min(Math.max(pValue, 0), 1);
+
+  return { statistic: a2, pValue, normal: pValue >= 0.05 };
+}
+
+// Sturges bins spanning both the data and the spec limits
+function capabilityHistogram(values, item) {
+  const edges = hasLimits(item) ? [...values, item.lower, item.upper] : values;
+  const min = Math.min(...edges);
+  const max = Math.max(...edges);
+  const binCount = Math.ceil(Math.log2(values.length)) + 1;
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  values.forEach(v => { bins[Math.min(Math.floor((v - min) / width), binCount - 1)].count++; });
+  return bins;
+}
+
+// { index: Cp or Pp, indexK: Cpk or Ppk } for the given σ
+function capabilityIndex(m, sigma, item) {
+  if (!hasLimits(item) || !(sigma > 0)) return { index: null, indexK: null };
+  return {
+    index: (item.upper - item.lower) / (6 * sigma),
+    indexK: Math.min(item.upper - m, m - item.lower) / (3 * sigma)
+  };
+}
+
+// values in production order (file number)
+function capabilityStats(values, item) {
+  const n = values.length;
+  if (n < CAPABILITY_MIN_SAMPLES) return { n, mean: n ? values[0] : null };
+
+  const m = mean(values);
+  const movingRanges = values.slice(1).map((v, i) => Math.abs(v - values[i]));
+  const sigmaWithin = mean(movingRanges) / SPC_CONSTANTS[2].d2;
+  const sigmaOverall = sampleStdDev(values);
+  const within = capabilityIndex(m, sigmaWithin, item);
+  const overall = capabilityIndex(m, sigmaOverall, item);
+
+  return {
+    n,
+    mean: m,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    sigmaWithin,
+    sigmaOverall,
+    cp: within.index,
+    cpk: within.indexK,
+    pp: overall.index,
+    ppk: overall.indexK,
+    outOfSpec: hasLimits(item) ? values.filter(v => v < item.lower || v > item.upper).length : 0,
+    normality: andersonDarling(values),
+    histogram: capabilityHistogram(values, item)
+  };
+}
 
-      importProgress.current = Math.min(b + BATCH_SIZE, totalRows);
+// Records for a report: the dashboard selection (selectedFiles, comma
+// separated ids) or every measured record of a lot, leaving out archived
+// records and import placeholders
+async function loadCapabilityDocs({ selectedFiles, lot }) {
+  const docs = [];
+  if (selectedFiles) {
+    const ids = String(selectedFiles).split(',').map(id => id.trim()).filter(id => id.length > 0);
+    for (const id of ids) {
+      try {
+        docs.push(await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, id));
+      } catch (error) {
+        console.error(`Error fetching inspection ${id}:`, error);
+      }
     }
+  } else if (normalizeLot(lot)) {
+    docs.push(...await listAllDocuments(COLLECTION_INSPECTIONS, [
+      Query.equal('lot', normalizeLot(lot)),
+      Query.equal('is_archived', false),
+      Query.notEqual('status', 'upcoming_import')
+    ]));
+  }
+  return docs.sort((a, b) => fileNumberOf(a.filename) - fileNumberOf(b.filename));
+}
 
-    importProgress = { current: totalRows, total: totalRows, status: 'complete' };
-
-    return res.json({
-      ok: true,
-      success: true,
-      updated,
-      verified: updated,   // every successful updateDocument is implicitly verified
-      verifyFailed: 0,
-      notFound,
-      suspicious: suspiciousRows.length,
-      suspiciousFiles: suspiciousRows, // file numbers skipped because weight == file number
-      message: suspiciousRows.length > 0
-        ? `Success: ${updated} records updated. ${suspiciousRows.length} rows skipped as suspicious (weight matched file number): ${suspiciousRows.join(', ')}`
-        : `Success: ${updated} records updated in database`
-    });
-
-  } catch (e) {
-    console.error("Import error:", e.message);
-    importProgress = { current: 0, total: 0, status: 'error' };
-    return res.status(200).json({ ok: false, error: e.message });
+// Per checkpoint/group on the report: overall statistics, plus a row per lot
+// when the records span several lots. Limits come from the newest spec among
+// the records, as on /summary.
+async function buildCapabilityReport(docs) {
+  const specsById = {};
+  for (const doc of docs) {
+    const spec = await getPartSpec(doc.spec_id);
+    specsById[spec.$id || 'default'] = spec;
   }
+  const specs = Object.values(specsById).sort((a, b) => b.version - a.version);
+  const spec = specs[0] || await getCurrentPartSpec(DEFAULT_PRODUCT_CODE);
+
+  const measurementsByDoc = docs.map(doc => buildMeasurementsFromDoc(doc, spec));
+  const lots = [...new Set(docs.map(doc => doc.lot || '-'))];
+  const checkpoints = getReportedItems(spec).map(item => {
+    const valuesOf = indexes => indexes
+      .map(i => measurementsByDoc[i][item.key].value)
+      .filter(v => v !== null);
+    const allIndexes = docs.map((doc, i) => i);
+    return {
+      key: item.key,
+      drawing: item.drawing || '',
+      nominal: item.nominal ?? null,
+      lower: item.lower ?? null,
+      upper: item.upper ?? null,
+      ...capabilityStats(valuesOf(allIndexes), item),
+      byLot: lots.length > 1
+        ? lots.map(lot => {
+            const stats = capabilityStats(valuesOf(allIndexes.filter(i => (docs[i].lot || '-') === lot)), item);
+            return { lot, n: stats.n, mean: stats.mean, cpk: stats.cpk ?? null, ppk: stats.ppk ?? null };
+          })
+        : []
+    };
+  });
+
+  return {
+    product: spec.product_code,
+    productName: spec.product_name,
+    specVersion: spec.version,
+    mixedSpecs: specs.length > 1 ? specs.map(s => `${s.product_name} v${s.version}`) : null,
+    fileCount: docs.length,
+    lots,
+    files: docs.map(doc => doc.filename),
+    checkpoints
+  };
 }
 
-// ======================
-// WEIGHT EXCEL EXPORT
-// ======================
+function capabilityScope(query) {
+  return { selectedFiles: query.selectedFiles || '', lot: query.lot || '' };
+}
 
-app.get("/export-weights", requireWeightEditAuth, async (req, res) => {
+app.get("/capability", requireAuth, async (req, res) => {
   try {
-    const result = await databases.listDocuments(
-      DATABASE_ID,
-      COLLECTION_INSPECTIONS,
-      [Query.limit(10000)]
-    );
+    const scope = capabilityScope(req.query);
+    const docs = await loadCapabilityDocs(scope);
+    const report = docs.length > 0 ? await buildCapabilityReport(docs) : null;
 
-    const dataWithWeights = result.documents
-      .map(doc => {
-        const fileNumber = doc.filename.replace('.txt', '').replace(/[^0-9]/g, '');
-        return {
-          'ファイル番号': fileNumber,
-          '重量 (g)': doc.weight || ''
-        };
-      })
-      .sort((a, b) => {
-        const numA = parseInt(a['ファイル番号']) || 0;
-        const numB = parseInt(b['ファイル番号']) || 0;
-        return numA - numB;
-      });
+    res.render("capability", {
+      report,
+      selection: scope,
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username)
+    });
+  } catch (error) {
+    console.error("Error building capability report:", error);
+    res.status(500).send("Error building capability report");
+  }
+});
 
-    if (dataWithWeights.length === 0) {
-      return res.status(400).json({ success: false, error: 'No files in database to export' });
+app.get("/api/capability", requireAuth, async (req, res) => {
+  try {
+    const docs = await loadCapabilityDocs(capabilityScope(req.query));
+    if (docs.length === 0) {
+      return res.status(400).json({ success: false, error: 'Pass selectedFiles or a lot with records' });
+    }
+    res.json({ success: true, ...(await buildCapabilityReport(docs)) });
+  } catch (error) {
+    console.error("Error building capability report:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/export-capability", requireAuth, async (req, res) => {
+  try {
+    const docs = await loadCapabilityDocs(capabilityScope(req.query));
+    if (docs.length === 0) {
+      return res.status(400).json({ success: false, error: 'No records to report' });
     }
+    const report = await buildCapabilityReport(docs);
+    const round = (v, digits = 4) => (v === null || v === undefined ? '' : Number(v.toFixed(digits)));
+
+    const summaryRows = report.checkpoints.map(cp => ({
+      checkpoint: cp.key,
+      drawing: cp.drawing,
+      nominal: cp.nominal ?? '',
+      lower: cp.lower ?? '',
+      upper: cp.upper ?? '',
+      n: cp.n,
+      mean: round(cp.mean),
+      min: round(cp.min),
+      max: round(cp.max),
+      sigmaWithin: round(cp.sigmaWithin),
+      sigmaOverall: round(cp.sigmaOverall),
+      Cp: round(cp.cp, 3),
+      Cpk: round(cp.cpk, 3),
+      Pp: round(cp.pp, 3),
+      Ppk: round(cp.ppk, 3),
+      outOfSpec: cp.outOfSpec ?? '',
+      andersonDarling: cp.normality ? round(cp.normality.statistic, 3) : '',
+      normalityP: cp.normality ? round(cp.normality.pValue, 3) : '',
+      normal: cp.normality ? cp.normality.normal : ''
+    }));
+    const lotRows = [];
+    const histogramRows = [];
+    report.checkpoints.forEach(cp => {
+      cp.byLot.forEach(l => lotRows.push({ checkpoint: cp.key, lot: l.lot, n: l.n, mean: round(l.mean), Cpk: round(l.cpk, 3), Ppk: round(l.ppk, 3) }));
+      (cp.histogram || []).forEach(bin => histogramRows.push({ checkpoint: cp.key, from: round(bin.from), to: round(bin.to), count: bin.count }));
+    });
+    const infoRows = [
+      { item: 'product', value: report.productName },
+      { item: 'specVersion', value: report.specVersion },
+      { item: 'files', value: report.fileCount },
+      { item: 'lots', value: report.lots.join(', ') },
+      { item: 'generatedAt', value: formatCmmLocalTime(new Date().toISOString()) }
+    ];
 
-    const worksheet = XLSX.utils.json_to_sheet(dataWithWeights);
     const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Weights');
-    worksheet['!cols'] = [{ wch: 15 }, { wch: 12 }];
+    const summarySheet = XLSX.utils.json_to_sheet(summaryRows);
+    summarySheet['!cols'] = Array(19).fill({ wch: 11 });
+    XLSX.utils.book_append_sheet(workbook, summarySheet, 'Capability');
+    if (lotRows.length > 0) XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(lotRows), 'By Lot');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(histogramRows), 'Histogram');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(infoRows), 'Info');
 
     const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    const scopeName = req.query.lot ? `lot${req.query.lot}` : 'selection';
 
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="weights_${new Date().toISOString().split('T')[0]}.xlsx"`);
+    res.setHeader('Content-Disposition', `attachment; filename="capability_${encodeURIComponent(scopeName)}_${new Date().toISOString().split('T')[0]}.xlsx"`);
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.send(buffer);
   } catch (error) {
-    console.error("Error exporting weights:", error);
+    console.error("Error exporting capability report:", error);
     res.setHeader('Content-Type', 'application/json');
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ======================
-// MEASUREMENT EXCEL EXPORT
+// GAUGE R&R
 // ======================
+// Repeatability & reproducibility studies of the CMM. A study belongs to one
+// product spec; its TXT uploads are tagged (part, operator, trial) and stored
+// in COLLECTION_GRR_MEASUREMENTS instead of creating inspection records. The
+// values come from the same extractMeasurementValue mapping as inspections.
+// The report uses the AIAG average & range method, which needs a crossed,
+// balanced study: every operator measures every part the same number of times.
+
+// AIAG MSA constants by number of trials (K1), operators (K2) and parts (K3)
+const GRR_K1 = { 2: 0.8862, 3: 0.5908 };
+const GRR_K2 = { 2: 0.7071, 3: 0.5231 };
+const GRR_K3 = { 2: 0.7071, 3: 0.5231, 4: 0.4467, 5: 0.4030, 6: 0.3742, 7: 0.3534, 8: 0.3375, 9: 0.3249, 10: 0.3146 };
+
+// %GRR under 10 is acceptable, up to 30 conditional; ndc should be at least 5
+const GRR_ACCEPTANCE = { acceptable: 10, marginal: 30, minNdc: 5 };
+
+function grrRating(percentGrr) {
+  if (percentGrr === null) return null;
+  if (percentGrr < GRR_ACCEPTANCE.acceptable) return 'acceptable';
+  return percentGrr <= GRR_ACCEPTANCE.marginal ? 'marginal' : 'unacceptable';
+}
 
-app.get("/export-measurements", requireAuth, async (req, res) => {
+function valueRange(values) {
+  return Math.max(...values) - Math.min(...values);
+}
+
+// cells: { part: { operator: [trial values in trial order] } }. Uses the
+// first `trials` values of every cell. Returns the study components.
+function averageRangeGrr(cells, parts, operators, trials, item) {
+  const cellRanges = [];
+  const operatorValues = operators.map(() => []);
+  const partMeans = parts.map(part => {
+    const values = [];
+    operators.forEach((operator, o) => {
+      const cell = cells[part][operator].slice(0, trials);
+      cellRanges.push(valueRange(cell));
+      operatorValues[o].push(...cell);
+      values.push(...cell);
+    });
+    return mean(values);
+  });
+
+  const rBar = mean(cellRanges);
+  const operatorMeans = operatorValues.map(mean);
+  const xDiff = valueRange(operatorMeans);
+  const rp = valueRange(partMeans);
+
+  const ev = rBar * GRR_K1[trials];
+  const av = Math.sqrt(Math.max(0, Math.pow(xDiff * GRR_K2[operators.length], 2) - ev * ev / (parts.length * trials)));
+  const grr = Math.sqrt(ev * ev + av * av);
+  const pv = rp * GRR_K3[parts.length];
+  const tv = Math.sqrt(grr * grr + pv * pv);
+  const percent = v => (tv > 0 ? v / tv * 100 : null);
+  const tolerance = item.upper !== undefined && item.lower !== undefined ? item.upper - item.lower : null;
+
+  const percentGrr = percent(grr);
+  return {
+    rBar, xDiff, rp,
+    operatorMeans: operators.map((operator, o) => ({ operator, mean: operatorMeans[o] })),
+    ev, av, grr, pv, tv,
+    percentEv: percent(ev),
+    percentAv: percent(av),
+    percentGrr,
+    percentPv: percent(pv),
+    // 6σ of the gauge against the tolerance width
+    percentTolerance: tolerance ? 6 * grr / tolerance * 100 : null,
+    ndc: grr > 0 ? Math.floor(1.41 * pv / grr) : null,
+    rating: grrRating(percentGrr)
+  };
+}
+
+function parseGrrValues(measurement) {
   try {
-    // Paginate to export every record — never silently truncate
-    const allDocs = [];
-    let lastId = null;
-    while (true) {
-      const pageQueries = [Query.orderAsc('$id'), Query.limit(100)];
-      if (lastId) pageQueries.push(Query.cursorAfter(lastId));
-      const page = await databases.listDocuments(DATABASE_ID, COLLECTION_INSPECTIONS, pageQueries);
-      allDocs.push(...page.documents);
-      if (page.documents.length < 100) break;
-      lastId = page.documents[page.documents.length - 1].$id;
-    }
+    return JSON.parse(measurement.measurement_values || '{}');
+  } catch (e) {
+    return {};
+  }
+}
 
-    const dataWithMeasurements = allDocs
-      .map(doc => ({
-        filename: doc.filename,
-        lot: doc.lot || '',
-        weight: doc.weight || '',
-        status: doc.status || 'unknown',
-        measurementA: doc.measurementA || '',
-        measurementB: doc.measurementB || '',
-        measurementC: doc.measurementC || '',
-        measurementD: doc.measurementD || '',
-        measurementE: doc.measurementE || '',
-        measurementF: doc.measurementF || '',
-        measurementG1: doc.measurementG1 || '',
-        measurementG2: doc.measurementG2 || '',
-        measurementG3: doc.measurementG3 || '',
-        measurementG4: doc.measurementG4 || '',
-        measurementH: doc.measurementH || '',
-        measurementI: doc.measurementI || '',
-        measurementJ: doc.measurementJ || '',
-        measurementK: doc.measurementK || '',
-        measurementL: doc.measurementL || '',
-        isValidA: doc.isValidA || '',
-        isValidB: doc.isValidB || '',
-        isValidC: doc.isValidC || '',
-        isValidD: doc.isValidD || '',
-        isValidE: doc.isValidE || '',
-        isValidF: doc.isValidF || '',
-        isValidG1: doc.isValidG1 || '',
-        isValidG2: doc.isValidG2 || '',
-        isValidG3: doc.isValidG3 || '',
-        isValidG4: doc.isValidG4 || '',
-        isValidH: doc.isValidH || '',
-        isValidI: doc.isValidI || '',
-        isValidJ: doc.isValidJ || '',
-        isValidK: doc.isValidK || '',
-        isValidL: doc.isValidL || ''
-      }))
-      .sort((a, b) => {
-        const numA = parseInt(a.filename.replace('.txt', '')) || 0;
-        const numB = parseInt(b.filename.replace('.txt', '')) || 0;
-        return numA - numB;
+async function listGrrStudies() {
+  return listAllDocuments(COLLECTION_GRR_STUDIES, [Query.orderDesc('created_at')]);
+}
+
+// Measurements of one study ordered by part, operator, trial
+async function listGrrMeasurements(studyId) {
+  const measurements = await listAllDocuments(COLLECTION_GRR_MEASUREMENTS, [Query.equal('study_id', studyId)]);
+  return measurements.sort((a, b) =>
+    String(a.part).localeCompare(String(b.part), undefined, { numeric: true })
+    || String(a.operator).localeCompare(String(b.operator))
+    || a.trial - b.trial);
+}
+
+// Report for every reported checkpoint and group. Problems that stop the
+// whole study (too few parts, unbalanced cells) are listed in `errors`; a
+// checkpoint with missing values gets its own `error`.
+function buildGrrReport(study, spec, measurements) {
+  const parts = [...new Set(measurements.map(m => String(m.part)))]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const operators = [...new Set(measurements.map(m => m.operator))].sort();
+
+  const byCell = {};
+  parts.forEach(part => {
+    byCell[part] = {};
+    operators.forEach(operator => { byCell[part][operator] = []; });
+  });
+  measurements.forEach(m => byCell[String(m.part)][m.operator].push(m));
+
+  const counts = parts.flatMap(part => operators.map(operator => byCell[part][operator].length));
+  const trials = counts.length > 0 ? Math.min(...counts) : 0;
+  const errors = [];
+  const warnings = [];
+  if (!GRR_K3[parts.length]) errors.push(`部品数は 2〜10 が必要です (現在 ${parts.length})`);
+  if (!GRR_K2[operators.length]) errors.push(`測定者は 2〜3 人が必要です (現在 ${operators.length})`);
+  parts.forEach(part => operators.forEach(operator => {
+    if (byCell[part][operator].length === 0) errors.push(`部品 ${part} が ${operator} により測定されていません`);
+  }));
+  if (trials === 1) errors.push('各部品・測定者の組み合わせで 2 回以上の測定が必要です');
+  const usedTrials = Math.min(trials, 3);
+  if (usedTrials >= 2 && counts.some(c => c > usedTrials)) {
+    warnings.push(`試行回数が揃っていないため、各組み合わせの最初の ${usedTrials} 回のみ使用しています`);
+  }
+
+  const values = measurements.map(m => ({ m, values: buildMeasurementsFromDoc({ measurement_schema: 2, ...parseGrrValues(m) }, spec) }));
+  const valueOf = new Map(values.map(v => [v.m.$id, v.values]));
+
+  const checkpoints = getReportedItems(spec).map(item => {
+    const base = {
+      key: item.key,
+      drawing: item.drawing || '',
+      lower: item.lower ?? null,
+      upper: item.upper ?? null,
+      instrument: item.instrument || ''
+    };
+    if (errors.length > 0) return base;
+
+    const cells = {};
+    let missing = 0;
+    parts.forEach(part => {
+      cells[part] = {};
+      operators.forEach(operator => {
+        cells[part][operator] = byCell[part][operator].slice(0, usedTrials)
+          .map(m => valueOf.get(m.$id)[item.key].value);
+        missing += cells[part][operator].filter(v => v === null).length;
       });
+    });
+    if (missing > 0) return { ...base, error: `${missing} 件の測定値がありません` };
+    return { ...base, ...averageRangeGrr(cells, parts, operators, usedTrials, item) };
+  });
 
-    if (dataWithMeasurements.length === 0) {
-      return res.status(400).json({ success: false, error: 'No measurement data to export' });
-    }
+  return {
+    study: { id: study.$id, name: study.name, notes: study.notes || '' },
+    product: spec.product_code,
+    productName: spec.product_name,
+    specVersion: spec.version,
+    parts,
+    operators,
+    trials: usedTrials,
+    measurementCount: measurements.length,
+    errors,
+    warnings,
+    checkpoints
+  };
+}
 
-    const worksheet = XLSX.utils.json_to_sheet(dataWithMeasurements);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Measurements');
-    worksheet['!cols'] = Array(35).fill({ wch: 12 });
+async function loadGrrStudy(studyId) {
+  const study = await databases.getDocument(DATABASE_ID, COLLECTION_GRR_STUDIES, studyId);
+  const spec = await getPartSpec(study.spec_id);
+  const measurements = await listGrrMeasurements(studyId);
+  return { study, spec, measurements };
+}
 
-    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+function grrDisabled(res) {
+  if (COLLECTION_GRR_STUDIES && COLLECTION_GRR_MEASUREMENTS) return false;
+  res.status(400).json({
+    success: false,
+    error: 'APPWRITE_COLLECTION_GRR_STUDIES_ID / APPWRITE_COLLECTION_GRR_MEASUREMENTS_ID are not configured'
+  });
+  return true;
+}
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="measurements_export_${new Date().toISOString().split('T')[0]}.xlsx"`);
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.send(buffer);
+app.get("/grr", requireAuth, async (req, res) => {
+  try {
+    const enabled = Boolean(COLLECTION_GRR_STUDIES && COLLECTION_GRR_MEASUREMENTS);
+    res.render("grr", {
+      enabled,
+      studies: enabled ? await listGrrStudies() : [],
+      products: await listCurrentPartSpecs(),
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username),
+      canEditWeights: req.session.canEditWeights
+    });
   } catch (error) {
-    console.error("Error exporting measurements:", error);
-    res.setHeader('Content-Type', 'application/json');
-    res.status(500).json({ success: false, error: error.message });
+    console.error("Error loading GRR studies:", error);
+    res.status(500).send("Error loading GRR studies");
   }
 });
 
-// ======================
-// ARCHIVE / UNARCHIVE
-// ======================
-
-app.post("/archive-files", requireAuth, async (req, res) => {
+app.get("/grr/:studyId", requireAuth, async (req, res) => {
   try {
-    const { fileIds } = req.body;
+    if (!COLLECTION_GRR_STUDIES || !COLLECTION_GRR_MEASUREMENTS) return res.redirect('/grr');
+    const { study, spec, measurements } = await loadGrrStudy(req.params.studyId);
+
+    res.render("grr-study", {
+      study,
+      spec,
+      measurements: measurements.map(m => ({ ...m, values: buildMeasurementsFromDoc({ measurement_schema: 2, ...parseGrrValues(m) }, spec) })),
+      report: measurements.length > 0 ? buildGrrReport(study, spec, measurements) : null,
+      items: getReportedItems(spec),
+      username: req.session.username,
+      displayName: getDisplayName(req.session.username),
+      canEditWeights: req.session.canEditWeights
+    });
+  } catch (error) {
+    console.error("Error loading GRR study:", error);
+    res.status(404).send("Study not found");
+  }
+});
 
-    if (!Array.isArray(fileIds) || fileIds.length === 0) {
-      return res.status(400).json({ success: false, error: 'No file IDs provided' });
+// Body: { name, product, notes }. The study is bound to the product's current spec.
+app.post("/api/grr", requireAuth, async (req, res) => {
+  try {
+    if (grrDisabled(res)) return;
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'A study name is required' });
     }
-
-    let archived = 0;
-    let errors = [];
-
-    for (const fileId of fileIds) {
-      try {
-        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId, { is_archived: true });
-        archived++;
-      } catch (err) {
-        errors.push(fileId);
-      }
+    const spec = await getCurrentPartSpec(req.body.product);
+    if (!spec) {
+      return res.status(400).json({ success: false, error: `Unknown product: ${req.body.product}` });
     }
 
-    res.json({ success: true, archived, errors: errors.length > 0 ? errors : undefined });
+    const study = await databases.createDocument(DATABASE_ID, COLLECTION_GRR_STUDIES, ID.unique(), {
+      name,
+      notes: (req.body.notes || '').trim() || null,
+      product_code: spec.product_code,
+      spec_id: spec.$id || null,
+      spec_version: spec.version,
+      created_by: getDisplayName(req.session.username),
+      created_at: new Date().toISOString()
+    });
+    res.json({ success: true, study });
   } catch (error) {
-    console.error("Error archiving files:", error);
+    console.error("Error creating GRR study:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/unarchive-files", requireAuth, async (req, res) => {
+// Multipart: files plus, per file in the same order, optional part / operator
+// / trial. Defaults: part = file number, operator = the CMM header operator
+// (else the logged-in user), trial = next trial of that part and operator.
+app.post("/api/grr/:studyId/upload", requireAuth, upload.array("files"), async (req, res) => {
   try {
-    const { fileIds } = req.body;
-
-    if (!Array.isArray(fileIds) || fileIds.length === 0) {
-      return res.status(400).json({ success: false, error: 'No file IDs provided' });
+    if (grrDisabled(res)) return;
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, error: "No file uploaded" });
     }
+    const { study, spec, measurements } = await loadGrrStudy(req.params.studyId);
+    const field = name => [].concat(req.body[name] || []);
+    const parts = field('part');
+    const operators = field('operator');
+    const trialNumbers = field('trial');
+
+    const nextTrial = {};
+    measurements.forEach(m => {
+      const cell = `${m.part}|${m.operator}`;
+      nextTrial[cell] = Math.max(nextTrial[cell] || 1, m.trial + 1);
+    });
 
-    let unarchived = 0;
-    let errors = [];
-
-    for (const fileId of fileIds) {
+    const results = { successful: [], failed: [] };
+    for (const [i, file] of req.files.entries()) {
+      const filename = file.originalname;
       try {
-        await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId, { is_archived: false });
-        unarchived++;
+        const { text, encoding } = CmmParser.decodeCmmBytes(file.buffer, 'auto');
+        const parsedData = parseTxtFile(text);
+        const diagnostics = [...parsedData.diagnostics, ...findMissingFeatures(parsedData, spec)];
+        if (diagnostics.some(d => d.severity === 'error')) {
+          results.failed.push({ filename, error: `${filename}: parse errors`, diagnostics });
+          continue;
+        }
+
+        const header = buildHeaderFields(parsedData);
+        const fileNumberMatch = filename.match(/^(\d+)/);
+        const part = (parts[i] || '').trim() || (fileNumberMatch ? fileNumberMatch[1] : '');
+        const operator = (operators[i] || '').trim() || header.cmm_operator || getDisplayName(req.session.username);
+        if (!part) {
+          results.failed.push({ filename, error: `${filename}: part is required` });
+          continue;
+        }
+        const cell = `${part}|${operator}`;
+        const trial = parseInt(trialNumbers[i]) || nextTrial[cell] || 1;
+        nextTrial[cell] = Math.max(nextTrial[cell] || 1, trial + 1);
+
+        const { measurements: values } = evaluateMeasurements(parsedData, spec);
+        delete values.measurement_schema;
+        const rawFields = await storeRawTxt(file);
+        await databases.createDocument(DATABASE_ID, COLLECTION_GRR_MEASUREMENTS, ID.unique(), {
+          study_id: study.$id,
+          part,
+          operator,
+          trial,
+          filename,
+          measurement_values: JSON.stringify(values),
+          source_encoding: encoding,
+          measured_at: header.measured_at || null,
+          uploaded_by: getDisplayName(req.session.username),
+          uploaded_at: new Date().toISOString(),
+          ...rawFields
+        });
+        results.successful.push({ filename, part, operator, trial });
       } catch (err) {
-        errors.push(fileId);
+        results.failed.push({ filename, error: err.message });
       }
     }
 
-    res.json({ success: true, unarchived, errors: errors.length > 0 ? errors : undefined });
+    res.json({ success: results.successful.length > 0, results });
   } catch (error) {
-    console.error("Error unarchiving files:", error);
+    console.error("GRR upload error:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ======================
-// SUMMARY ROUTE
-// ======================
+app.delete("/api/grr/:studyId/measurements/:measurementId", requireWeightEditAuth, async (req, res) => {
+  try {
+    if (grrDisabled(res)) return;
+    const measurement = await databases.getDocument(DATABASE_ID, COLLECTION_GRR_MEASUREMENTS, req.params.measurementId);
+    if (measurement.study_id !== req.params.studyId) {
+      return res.status(404).json({ success: false, error: 'Measurement not found in this study' });
+    }
+    await databases.deleteDocument(DATABASE_ID, COLLECTION_GRR_MEASUREMENTS, measurement.$id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting GRR measurement:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-app.get("/summary", requireAuth, async (req, res) => {
+app.get("/api/grr/:studyId/report", requireAuth, async (req, res) => {
   try {
-    const selectedFilesParam = req.query.selectedFiles || "";
-    const fileIds = selectedFilesParam.split(",").map(id => id.trim()).filter(id => id.length > 0);
+    if (grrDisabled(res)) return;
+    const { study, spec, measurements } = await loadGrrStudy(req.params.studyId);
+    res.json({ success: true, ...buildGrrReport(study, spec, measurements) });
+  } catch (error) {
+    console.error("Error building GRR report:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (fileIds.length === 0) return res.redirect("/");
+app.get("/export-grr/:studyId", requireAuth, async (req, res) => {
+  try {
+    if (grrDisabled(res)) return;
+    const { study, spec, measurements } = await loadGrrStudy(req.params.studyId);
+    if (measurements.length === 0) {
+      return res.status(400).json({ success: false, error: 'The study has no measurements' });
+    }
+    const report = buildGrrReport(study, spec, measurements);
+    const round = (v, digits = 4) => (v === null || v === undefined ? '' : Number(v.toFixed(digits)));
+
+    const summaryRows = report.checkpoints.map(cp => ({
+      checkpoint: cp.key,
+      drawing: cp.drawing,
+      lower: cp.lower ?? '',
+      upper: cp.upper ?? '',
+      EV: round(cp.ev),
+      AV: round(cp.av),
+      GRR: round(cp.grr),
+      PV: round(cp.pv),
+      TV: round(cp.tv),
+      percentEV: round(cp.percentEv, 1),
+      percentAV: round(cp.percentAv, 1),
+      percentGRR: round(cp.percentGrr, 1),
+      percentPV: round(cp.percentPv, 1),
+      percentTolerance: round(cp.percentTolerance, 1),
+      ndc: cp.ndc ?? '',
+      rating: cp.rating || cp.error || ''
+    }));
+    const items = getReportedItems(spec);
+    const dataRows = measurements.map(m => {
+      const values = buildMeasurementsFromDoc({ measurement_schema: 2, ...parseGrrValues(m) }, spec);
+      const row = { part: m.part, operator: m.operator, trial: m.trial, filename: m.filename, measuredAt: formatCmmLocalTime(m.measured_at) };
+      items.forEach(item => { row[item.key] = values[item.key].value ?? ''; });
+      return row;
+    });
+    const infoRows = [
+      { item: 'study', value: report.study.name },
+      { item: 'product', value: report.productName },
+      { item: 'specVersion', value: report.specVersion },
+      { item: 'parts', value: report.parts.join(', ') },
+      { item: 'operators', value: report.operators.join(', ') },
+      { item: 'trials', value: report.trials },
+      { item: 'method', value: 'AIAG average & range' },
+      { item: 'errors', value: report.errors.join(' / ') },
+      { item: 'warnings', value: report.warnings.join(' / ') },
+      { item: 'generatedAt', value: formatCmmLocalTime(new Date().toISOString()) }
+    ];
 
-    const files = [];
-    const fileData = {};
+    const workbook = XLSX.utils.book_new();
+    const summarySheet = XLSX.utils.json_to_sheet(summaryRows);
+    summarySheet['!cols'] = Array(16).fill({ wch: 11 });
+    XLSX.utils.book_append_sheet(workbook, summarySheet, 'GRR');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(dataRows), 'Data');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(infoRows), 'Info');
 
-    for (const fileId of fileIds) {
-      try {
-        const inspection = await databases.getDocument(DATABASE_ID, COLLECTION_INSPECTIONS, fileId);
-        files.push(inspection);
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="grr_${encodeURIComponent(study.name)}_${new Date().toISOString().split('T')[0]}.xlsx"`);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(buffer);
+  } catch (error) {
+    console.error("Error exporting GRR report:", error);
+    res.setHeader('Content-Type', 'application/json');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-        const measurements = {
-          A: { value: inspection.measurementA, isValid: inspection.isValidA },
-          B: { value: inspection.measurementB, isValid: inspection.isValidB },
-          C: { value: inspection.measurementC, isValid: inspection.isValidC },
-          D: { value: inspection.measurementD, isValid: inspection.isValidD },
-          E: { value: inspection.measurementE, isValid: inspection.isValidE },
-          F: { value: inspection.measurementF, isValid: inspection.isValidF },
-          G1: { value: inspection.measurementG1, isValid: inspection.isValidG1 },
-          G2: { value: inspection.measurementG2, isValid: inspection.isValidG2 },
-          G3: { value: inspection.measurementG3, isValid: inspection.isValidG3 },
-          G4: { value: inspection.measurementG4, isValid: inspection.isValidG4 },
-          H: { value: inspection.measurementH, isValid: inspection.isValidH },
-          I: { value: inspection.measurementI, isValid: inspection.isValidI },
-          J: { value: inspection.measurementJ, isValid: inspection.isValidJ },
-          K: { value: inspection.measurementK, isValid: inspection.isValidK },
-          L: { value: inspection.measurementL, isValid: inspection.isValidL }
-        };
+// ======================
+// MEASUREMENT SCHEMA MIGRATION
+// ======================
+// POST /api/migrate-measurements converts string measurement<KEY> values to
+// the float value<KEY> attributes (see MEASUREMENT STORAGE). Dry run unless
+// { "dryRun": false } is sent. Idempotent: converted documents are skipped, so
+// it can be re-run after an interruption. Values that are neither numbers nor
+// '-' are written as null and listed in the report.
+// Numeric lots left by older import placeholders are rewritten as strings,
+// and file_number is filled in from the filename where it is missing.
+
+app.post("/api/migrate-measurements", requireWeightEditAuth, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+    let converted = 0;
+    let alreadyNumeric = 0;
+    let pages = 0;
+    const problems = [];
+    const errors = [];
 
-        const gValue = processGValues(measurements);
-        fileData[inspection.$id] = { ...measurements, G: gValue };
-      } catch (error) {
-        console.error(`Error fetching inspection ${fileId}:`, error);
+    await forEachPage(COLLECTION_INSPECTIONS, [], async documents => {
+      pages++;
+      for (const doc of documents) {
+        const migration = migrateMeasurementFields(doc);
+        if (!migration) {
+          alreadyNumeric++;
+          continue;
+        }
+        migration.problems.forEach(p => problems.push({ fileId: doc.$id, filename: doc.filename, ...p }));
+        if (dryRun) {
+          converted++;
+          continue;
+        }
+        try {
+          await databases.updateDocument(DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id, migration.update);
+          converted++;
+        } catch (err) {
+          errors.push({ fileId: doc.$id, filename: doc.filename, error: err.message });
+        }
       }
-    }
+    });
 
-    res.render("summary", {
-      files,
-      fileData,
-      validationRanges,
-      username: req.session.username,
-      displayName: getDisplayName(req.session.username),
-      inspectorName: getDisplayName(req.session.username),
+    res.json({
+      success: true,
+      dryRun,
+      converted,
+      alreadyNumeric,
+      pages,
+      problems,
+      errors,
+      message: `${dryRun ? 'Would convert' : 'Converted'} ${converted} record(s) across ${pages} page(s); ` +
+        `${problems.length} unparseable value(s), ${errors.length} error(s).`
     });
   } catch (error) {
-    console.error("Error generating summary:", error);
-    res.status(500).send("Error generating summary");
+    console.error("Measurement migration error:", error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -2006,41 +6159,29 @@ app.get("/summary", requireAuth, async (req, res) => {
 app.get("/api/repair-status", requireWeightEditAuth, async (req, res) => {
   try {
     const promotableStatuses = ['upcoming_import', 'imported', 'inspection'];
+    const actor = statusActor(req);
     let fixed = 0;
     let skipped = 0;
     let pages = 0;
-    const PAGE_SIZE = 100;
-    let offset = 0;
-    let keepGoing = true;
 
-    while (keepGoing) {
-      const result = await databases.listDocuments(
-        DATABASE_ID,
-        COLLECTION_INSPECTIONS,
-        [Query.limit(PAGE_SIZE), Query.offset(offset)]
-      );
+    await forEachPage(COLLECTION_INSPECTIONS, [], async documents => {
       pages++;
 
-      for (const doc of result.documents) {
-        const hasWeight = doc.weight !== null && doc.weight !== undefined;
-        const needsPromotion = promotableStatuses.includes(doc.status);
-        if (hasWeight && needsPromotion) {
+      for (const doc of documents) {
+        const needsPromotion = promotableStatuses.includes(doc.status) &&
+          (await transitionBlockers(doc, 'finished_inspection')).length === 0;
+        if (needsPromotion) {
           await databases.updateDocument(
             DATABASE_ID, COLLECTION_INSPECTIONS, doc.$id,
             { status: 'finished_inspection' }
           );
+          await recordStatusChange(doc, 'finished_inspection', actor);
           fixed++;
         } else {
           skipped++;
         }
       }
-
-      if (result.documents.length < PAGE_SIZE) {
-        keepGoing = false;
-      } else {
-        offset += PAGE_SIZE;
-      }
-    }
+    });
 
     res.json({
       success: true,
@@ -0,0 +1,267 @@
+// ======================
+// CMM TXT PARSER
+// ======================
+// Shared by app.js (require) and the browser (window.CmmParser), so /upload
+// and the tuika-process workbook read a CMM export the same way.
+//
+// A report line is "<index>;<type>;<method>;<values...>". Each feature type
+// has a fixed column layout starting at the method column; null entries are
+// unused columns. Every parsed feature has the shape
+//   { index, type, line, method, x, y, z, ...type-specific fields }
+// with numeric fields as numbers, or null when the column is empty.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CmmParser = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  // minColumns: shorter rows are truncated exports.
+  // required: fields that must be numeric for the row to be usable.
+  const FEATURE_LAYOUTS = {
+    'CIRCLE': {
+      columns: ['method', 'x', 'y', 'z', 'i', 'j', 'k', null, 'diameter', 'deviation'],
+      minColumns: 12,
+      required: ['x', 'y', 'z', 'diameter']
+    },
+    'INT-CIRCLE': {
+      columns: [null, 'x', 'y', 'z', 'i', 'j', 'k', null, 'radius'],
+      minColumns: 11,
+      required: ['radius']
+    },
+    'PLANE': {
+      columns: ['method', 'x', 'y', 'z', 'a', 'b', 'c', null, 'd', 'deviation'],
+      minColumns: 6,
+      required: ['x', 'y', 'z']
+    },
+    'CONE': {
+      columns: ['method', 'x', 'y', 'z', 'i', 'j', 'k', null, 'halfAngle', 'deviation'],
+      minColumns: 11,
+      required: ['halfAngle']
+    },
+    'PT-COMP': {
+      columns: ['method', 'x', 'y', 'z'],
+      minColumns: 6,
+      required: ['x', 'y', 'z']
+    },
+    'SYM-POINT': {
+      columns: [null, 'x', 'y', 'z'],
+      minColumns: 6,
+      required: ['x', 'y', 'z']
+    },
+    'DISTANCE': {
+      columns: [null, 'x', 'y', 'z', null, null, null, null, 'distance'],
+      minColumns: 4,
+      required: ['x']
+    }
+  };
+
+  const FIRST_VALUE_COLUMN = 2;
+
+  // The CMM PC writes Japanese headers in Shift-JIS; other exports are UTF-8.
+  // 'auto' detects; the rest force a decoding. cp932 is Shift-JIS plus the
+  // Windows extension rows (①, ㈱, IBM kanji), reported separately so a file
+  // using them is recognisable.
+  const ENCODINGS = ['auto', 'utf-8', 'utf-8-bom', 'shift_jis', 'cp932'];
+
+  function hasUtf8Bom(bytes) {
+    return bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF;
+  }
+
+  function isValidUtf8(bytes) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Any double-byte character whose lead byte is in a CP932-only row
+  function usesCp932Extensions(bytes) {
+    for (let i = 0; i < bytes.length; i++) {
+      const b = bytes[i];
+      const isLead = (b >= 0x81 && b <= 0x9F) || (b >= 0xE0 && b <= 0xFC);
+      if (!isLead) continue;
+      if (b === 0x87 || b === 0xED || b === 0xEE || b >= 0xFA) return true;
+      i++;
+    }
+    return false;
+  }
+
+  function detectEncoding(bytes) {
+    if (hasUtf8Bom(bytes)) return 'utf-8-bom';
+    if (isValidUtf8(bytes)) return 'utf-8';
+    return usesCp932Extensions(bytes) ? 'cp932' : 'shift_jis';
+  }
+
+  // bytes: Uint8Array (a Node Buffer works). Returns { text, encoding }.
+  function decodeCmmBytes(bytes, encoding) {
+    const resolved = !encoding || encoding === 'auto' ? detectEncoding(bytes) : encoding;
+    if (!ENCODINGS.includes(resolved)) throw new Error(`Unsupported encoding: ${encoding}`);
+    // The WHATWG shift_jis decoder already covers the CP932 extensions
+    const decoderLabel = resolved === 'shift_jis' || resolved === 'cp932' ? 'shift_jis' : 'utf-8';
+    return { text: new TextDecoder(decoderLabel).decode(bytes), encoding: resolved };
+  }
+
+  // Header lines are "<label> : <value>" (half- or full-width colon). Labels
+  // are matched case-insensitively after removing spaces and trailing dots.
+  const HEADER_LABELS = {
+    program: ['program', 'programname', 'partprogram', 'プログラム', 'プログラム名', 'パートプログラム'],
+    machine: ['machine', 'machineno', 'machineid', 'cmm', '測定機', '測定機番号', '機番', '機械'],
+    operator: ['operator', 'inspector', 'user', '測定者', 'オペレータ', 'オペレーター', '担当者', '作業者'],
+    date: ['date', 'measuringdate', 'measurementdate', '測定日', '日付'],
+    time: ['time', 'measuringtime', 'measurementtime', '測定時刻', '時刻'],
+    dateTime: ['datetime', 'date/time', 'measured', 'measuredat', '測定日時', '日時']
+  };
+
+  function headerField(label) {
+    const normalized = label.toLowerCase().replace(/[\s.．]/g, '');
+    return Object.keys(HEADER_LABELS).find(field => HEADER_LABELS[field].includes(normalized)) || null;
+  }
+
+  function pad2(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  // 'YYYY-MM-DDTHH:mm:ss' in the CMM's local time, or null. Accepts
+  // YYYY/MM/DD, YYYY-MM-DD, YYYY.MM.DD and 年月日, optionally followed by H:MM[:SS].
+  function parseHeaderDateTime(dateText, timeText) {
+    const date = String(dateText || '').match(/(\d{4})\s*[\/\-.年]\s*(\d{1,2})\s*[\/\-.月]\s*(\d{1,2})/);
+    if (!date) return null;
+    const rest = timeText !== undefined ? String(timeText) : String(dateText).slice(date.index + date[0].length);
+    const time = rest.match(/(\d{1,2})\s*[:時]\s*(\d{2})(?:\s*[:分]\s*(\d{2}))?/);
+    const [hh, mm, ss] = time ? [time[1], time[2], time[3] || 0] : [0, 0, 0];
+    return `${date[1]}-${pad2(date[2])}-${pad2(date[3])}T${pad2(hh)}:${pad2(mm)}:${pad2(ss)}`;
+  }
+
+  function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    return isNaN(n) ? null : n;
+  }
+
+  function featureFields(type) {
+    const layout = FEATURE_LAYOUTS[type];
+    if (!layout) return [];
+    return layout.columns.filter(name => name && name !== 'method');
+  }
+
+  function columnOf(layout, field) {
+    return layout.columns.indexOf(field) + FIRST_VALUE_COLUMN;
+  }
+
+  // Returns { lot, header, features, diagnostics }. header holds program,
+  // machine, operator and measuredAt (local 'YYYY-MM-DDTHH:mm:ss'), each null
+  // when the report does not carry it. Diagnostics are
+  // { line, raw, code, reason, severity }; rows with an error diagnostic are
+  // left out of features, except duplicates where the later row wins.
+  function parseCmmText(content) {
+    const result = {
+      lot: null,
+      header: { program: null, machine: null, operator: null, measuredAt: null },
+      features: [],
+      diagnostics: []
+    };
+    const seen = {};
+    const headerDate = {};
+
+    const addDiagnostic = (line, raw, code, reason, severity = 'error') => {
+      result.diagnostics.push({ line, raw, code, reason, severity });
+    };
+
+    String(content).split('\n').forEach((rawLine, i) => {
+      const line = rawLine.trim();
+      const lineNo = i + 1;
+      if (line.length === 0) return;
+
+      if (line.startsWith('Lot No.')) {
+        const lotMatch = line.match(/Lot No\.\s*:\s*(.+)/);
+        if (lotMatch) result.lot = lotMatch[1].trim();
+        return;
+      }
+
+      // Header and comment lines carry no semicolons
+      if (!line.includes(';')) {
+        const pair = line.match(/^([^:：]+?)\s*[:：]\s*(.+)$/);
+        const field = pair && headerField(pair[1]);
+        if (!field) return;
+        if (field === 'date' || field === 'time' || field === 'dateTime') {
+          if (headerDate[field] === undefined) headerDate[field] = pair[2].trim();
+        } else if (result.header[field] === null) {
+          result.header[field] = pair[2].trim();
+        }
+        return;
+      }
+
+      const parts = line.split(';').map(p => p.trim());
+      const index = parseInt(parts[0]);
+      const type = parts[1];
+      if (isNaN(index) || !type) {
+        addDiagnostic(lineNo, line, 'malformed', 'Feature index or type could not be read');
+        return;
+      }
+
+      const layout = FEATURE_LAYOUTS[type];
+      if (!layout) {
+        addDiagnostic(lineNo, line, 'unknown_type', `Unknown feature type ${type}`, 'warning');
+        return;
+      }
+
+      if (parts.length < layout.minColumns) {
+        addDiagnostic(lineNo, line, 'truncated',
+          `${type} #${index} has ${parts.length} columns (expected ${layout.minColumns})`);
+        return;
+      }
+
+      const badField = layout.required.find(field => toNumber(parts[columnOf(layout, field)]) === null);
+      if (badField) {
+        const col = columnOf(layout, badField);
+        addDiagnostic(lineNo, line, 'invalid_number',
+          `${type} #${index} column ${col + 1} (${badField}) is not a number: "${parts[col] || ''}"`);
+        return;
+      }
+
+      const feature = { index, type, line: lineNo, method: null };
+      layout.columns.forEach((field, offset) => {
+        if (!field) return;
+        const raw = parts[offset + FIRST_VALUE_COLUMN];
+        feature[field] = field === 'method' ? (raw || null) : toNumber(raw);
+      });
+
+      const key = `${index}:${type}`;
+      if (seen[key] !== undefined) {
+        const previous = result.features[seen[key]];
+        addDiagnostic(lineNo, line, 'duplicate_index',
+          `${type} #${index} already appeared on line ${previous.line}; the later row is used`);
+        result.features[seen[key]] = feature;
+        return;
+      }
+      seen[key] = result.features.length;
+      result.features.push(feature);
+    });
+
+    result.header.measuredAt = headerDate.dateTime !== undefined
+      ? parseHeaderDateTime(headerDate.dateTime)
+      : parseHeaderDateTime(headerDate.date, headerDate.time);
+
+    if (!result.lot) {
+      addDiagnostic(null, '', 'missing_lot', 'No "Lot No." header line', 'warning');
+    }
+
+    return result;
+  }
+
+  // { [index]: { [type]: feature } } lookup for checkpoint extraction
+  function indexFeatures(features) {
+    const byIndex = {};
+    features.forEach(feature => {
+      if (!byIndex[feature.index]) byIndex[feature.index] = {};
+      byIndex[feature.index][feature.type] = feature;
+    });
+    return byIndex;
+  }
+
+  return { FEATURE_LAYOUTS, ENCODINGS, featureFields, detectEncoding, decodeCmmBytes, parseCmmText, indexFeatures };
+}));